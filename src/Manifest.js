@@ -0,0 +1,180 @@
+// Copyright 2021 Roy T. Hashimoto. All rights reserved.
+import { resolvePath, resolvePolicy } from './Policy.js';
+import { featuresOf } from './Syntax.js';
+
+/** @typedef {import('./Policy.js').Policy} Policy */
+
+/**
+ * What a script uses, as far as can be determined without running it.
+ * Paths are dotted names rooted at a global or external, e.g.
+ * `Math.max`.
+ *
+ * @typedef Manifest
+ * @property {Array<string>} globals global names referenced
+ * @property {Array<string>} externals names the host must provide
+ * @property {Array<string>} calls paths of functions called
+ * @property {Array<string>} constructs paths of classes constructed
+ * with `new`
+ * @property {Array<string>} features syntax features used (see
+ * SYNTAX_FEATURES)
+ * @property {Array<DynamicAccess>} dynamic computed member accesses
+ * that can't be resolved
+ *
+ * @typedef DynamicAccess
+ * @property {string?} object path of the accessed object, if it has one
+ * @property {{line: number, column: number}} location
+ *
+ * @typedef Usage
+ * @property {Set<string>} calls
+ * @property {Set<string>} constructs
+ * @property {Set<string>} features
+ * @property {Set<DynamicAccess>} dynamic
+ *
+ * @typedef Problem
+ * @property {string} name path or name that isn't permitted
+ * @property {string} message
+ * @property {{line: number, column: number}} [location]
+ */
+
+/**
+ * Record what a program uses. This must be called before the program
+ * is transformed.
+ * @param {any} program Babel path of the Program node
+ * @param {Usage} usage
+ */
+export function collectUsage(program, usage) {
+  program.traverse({
+    enter(path) {
+      featuresOf(path.node).forEach(name => usage.features.add(name));
+
+      if (path.isCallExpression() || path.isOptionalCallExpression()) {
+        const name = staticPath(path.get('callee'));
+        if (name) usage.calls.add(name);
+      } else if (path.isNewExpression()) {
+        const name = staticPath(path.get('callee'));
+        if (name) usage.constructs.add(name);
+      } else if ((path.isMemberExpression() || path.isOptionalMemberExpression()) &&
+                 path.node.computed && !isLiteralKey(path.node.property)) {
+        const { line, column } = path.node.loc.start;
+        usage.dynamic.add({
+          object: staticPath(path.get('object')),
+          location: { line, column }
+        });
+      }
+    }
+  });
+}
+
+/**
+ * @param {Set<string>} globals
+ * @param {Set<string>} externals
+ * @param {Usage} usage
+ * @returns {Manifest}
+ */
+export function createManifest(globals, externals, usage) {
+  return {
+    globals: [...globals].sort(),
+    externals: [...externals].sort(),
+    calls: [...usage.calls].sort(),
+    constructs: [...usage.constructs].sort(),
+    features: [...usage.features].sort(),
+    dynamic: [...usage.dynamic]
+  };
+}
+
+/**
+ * Check a manifest against a policy. Calls and constructions rooted at
+ * externals, and dynamic accesses on objects without a path, can't be
+ * checked and are permitted.
+ * @param {Manifest} manifest
+ * @param {Policy} policy
+ * @param {object} [root] global scope
+ * @returns {Array<Problem>} empty if the policy permits the script
+ */
+export function validateManifest(manifest, policy, root = globalThis) {
+  const { globals, functions } = resolvePolicy(policy, root);
+  const externals = new Set(manifest.externals);
+  const isExternal = path => externals.has(path.split('.')[0]);
+
+  /** @type {Array<Problem>} */
+  const problems = [];
+  for (const name of manifest.globals) {
+    if (!globals.has(name)) problems.push({ name, message: 'global not allowed' });
+  }
+
+  // Every function along the path is checked, as the Runtime checks
+  // each function accessed.
+  for (const [paths, operation] of [[manifest.calls, 'call'], [manifest.constructs, 'construct']]) {
+    for (const path of /** @type {Array<string>} */ (paths)) {
+      if (isExternal(path)) continue;
+      const values = lookupPath(root, path);
+      if (values.length < path.split('.').length ||
+          values.some(value => typeof value === 'function' && !functions.has(value)) ||
+          typeof values[values.length - 1] !== 'function') {
+        problems.push({ name: path, message: `${operation} not allowed` });
+      }
+    }
+  }
+
+  for (const { object, location } of manifest.dynamic) {
+    if (object && !isExternal(object)) {
+      problems.push({ name: object, message: 'dynamic access not allowed', location });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Returns the dotted path of an unbound identifier or a chain of
+ * static member accesses on one, or else null.
+ * @param {any} path Babel path of an expression
+ * @returns {string?}
+ */
+function staticPath(path) {
+  const names = [];
+  let node = path.node;
+  while (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    if (!node.computed && node.property.type === 'Identifier') {
+      names.unshift(node.property.name);
+    } else if (node.computed && isLiteralKey(node.property)) {
+      names.unshift(String(node.property.value));
+    } else {
+      return null;
+    }
+    node = node.object;
+  }
+
+  if (node.type !== 'Identifier' || path.scope.hasBinding(node.name, true)) return null;
+  names.unshift(node.name);
+  return names.join('.');
+}
+
+/**
+ * @param {any} node
+ */
+function isLiteralKey(node) {
+  return node.type === 'StringLiteral' || node.type === 'NumericLiteral';
+}
+
+/**
+ * Returns the values along a dotted path, stopping where a property is
+ * missing or an accessor. Getters are never invoked.
+ * @param {object} root
+ * @param {string} path
+ * @returns {Array<any>}
+ */
+function lookupPath(root, path) {
+  const values = [];
+  const names = path.split('.');
+  for (let i = 1; i <= names.length; ++i) {
+    let results;
+    try {
+      results = resolvePath(root, names.slice(0, i).join('.'), false);
+    } catch (e) {
+      break;
+    }
+    if (results.length !== 1) break;
+    values.push(results[0].value);
+  }
+  return values;
+}
@@ -0,0 +1,314 @@
+import { SourceMap } from './SourceMap.js';
+
+/**
+ * What marshaling needs from the run that produced a value.
+ * @typedef MarshalContext
+ * @property {(obj: object) => object|undefined} unwrap returns the host
+ * object behind one of the run's proxies
+ * @property {(obj: object) => boolean} isShared true for objects the
+ * script and host share as is, like global objects
+ * @property {(obj: object) => boolean} isPromise true if the prototype
+ * is the host or script Promise prototype
+ * @property {(message: string) => Error} marshalFailure creates the
+ * error for a value that can't be marshaled
+ * @property {Array<ErrorConstructor>} errorClasses Runtime error classes
+ * @property {(stack: string) => object?} locateTrace returns the script
+ * location from a stack trace
+ * @property {object} [map] source map of the script
+ */
+
+// Built-in functions that check internal slots, used to identify and
+// copy built-in objects without looking up anything a script could
+// have defined.
+const getter = (obj, key) => Object.getOwnPropertyDescriptor(obj, key).get;
+const TypedArrayPrototype = Object.getPrototypeOf(Uint8Array.prototype);
+const INTRINSICS = {
+  dateGetTime: Date.prototype.getTime,
+  regExpSource: getter(RegExp.prototype, 'source'),
+  regExpFlags: Object.entries({
+    hasIndices: 'd', global: 'g', ignoreCase: 'i', multiline: 'm',
+    dotAll: 's', unicode: 'u', sticky: 'y'
+  }).filter(([key]) => key in RegExp.prototype).map(([key, flag]) => ({
+    flagGetter: getter(RegExp.prototype, key),
+    flag
+  })),
+  mapSize: getter(Map.prototype, 'size'),
+  mapForEach: Map.prototype.forEach,
+  setSize: getter(Set.prototype, 'size'),
+  setForEach: Set.prototype.forEach,
+  arrayBufferByteLength: getter(ArrayBuffer.prototype, 'byteLength'),
+  typedArrayTag: getter(TypedArrayPrototype, Symbol.toStringTag),
+  typedArrayBuffer: getter(TypedArrayPrototype, 'buffer'),
+  typedArrayByteOffset: getter(TypedArrayPrototype, 'byteOffset'),
+  typedArrayByteLength: getter(TypedArrayPrototype, 'byteLength'),
+  typedArraySet: TypedArrayPrototype.set,
+  dataViewBuffer: getter(DataView.prototype, 'buffer'),
+  dataViewByteOffset: getter(DataView.prototype, 'byteOffset'),
+  dataViewByteLength: getter(DataView.prototype, 'byteLength'),
+  promiseThen: Promise.prototype.then
+};
+
+/**
+ * Call a built-in function, returning undefined if the receiver isn't
+ * the right type.
+ * @param {function} f 
+ * @param {*} obj 
+ * @param  {...any} args 
+ */
+function callIntrinsic(f, obj, ...args) {
+  try {
+    return Reflect.apply(f, obj, args);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Copy a script value for the host, like structured clone, without
+ * invoking anything the script defined. Proxies for host objects are
+ * replaced by the host object. Script Promises are replaced by host
+ * Promises of the marshaled value, and script functions are replaced
+ * by host stubs that marshal their results, if allowed. Values the
+ * script throws or rejects with are replaced by host errors.
+ * @param {*} value 
+ * @param {MarshalContext} context 
+ * @param {boolean} functions allow functions
+ * @param {Map<object, any>} [copies] previously copied objects
+ * @returns {any}
+ */
+export function marshal(value, context, functions, copies = new Map()) {
+  if (value !== Object(value)) {
+    if (typeof value === 'symbol') throw context.marshalFailure(`can't marshal symbol`);
+    return value;
+  }
+  if (copies.has(value)) return copies.get(value);
+  const host = context.unwrap(value);
+  if (host) return host;
+  if (context.isShared(value)) return value;
+
+  if (typeof value === 'function') {
+    if (!functions) throw context.marshalFailure(`can't marshal function`);
+    const stub = (...args) => {
+      let result;
+      try {
+        result = Reflect.apply(value, undefined, args);
+      } catch (e) {
+        throw marshalError(e, context);
+      }
+      return marshal(result, context, functions);
+    };
+    copies.set(value, stub);
+    return stub;
+  }
+
+  if (context.isPromise(value)) {
+    // Both Promise prototypes are immutable, so then() looks up the
+    // built-in constructor unless the script added its own.
+    if (Object.getOwnPropertyDescriptor(value, 'constructor')) {
+      throw context.marshalFailure(`can't marshal Promise with constructor property`);
+    }
+    const copy = new Promise((resolve, reject) => {
+      Reflect.apply(INTRINSICS.promiseThen, value, [
+        result => {
+          try {
+            resolve(marshal(result, context, functions));
+          } catch (e) {
+            reject(e);
+          }
+        },
+        reason => reject(marshalError(reason, context))
+      ]);
+    });
+    copies.set(value, copy);
+    return copy;
+  }
+
+  const time = callIntrinsic(INTRINSICS.dateGetTime, value);
+  if (time !== undefined) {
+    return copies.set(value, new Date(time)).get(value);
+  }
+
+  const source = callIntrinsic(INTRINSICS.regExpSource, value);
+  if (source !== undefined) {
+    const flags = INTRINSICS.regExpFlags
+      .filter(({ flagGetter }) => Reflect.apply(flagGetter, value, []))
+      .map(({ flag }) => flag)
+      .join('');
+    return copies.set(value, new RegExp(source, flags)).get(value);
+  }
+
+  if (callIntrinsic(INTRINSICS.mapSize, value) !== undefined) {
+    const copy = new Map();
+    copies.set(value, copy);
+    Reflect.apply(INTRINSICS.mapForEach, value, [(v, k) => {
+      copy.set(marshal(k, context, functions, copies), marshal(v, context, functions, copies));
+    }]);
+    return copy;
+  }
+
+  if (callIntrinsic(INTRINSICS.setSize, value) !== undefined) {
+    const copy = new Set();
+    copies.set(value, copy);
+    Reflect.apply(INTRINSICS.setForEach, value, [v => {
+      copy.add(marshal(v, context, functions, copies));
+    }]);
+    return copy;
+  }
+
+  const bufferByteLength = callIntrinsic(INTRINSICS.arrayBufferByteLength, value);
+  if (bufferByteLength !== undefined) {
+    return copies.set(value, copyBytes(value, 0, bufferByteLength).buffer).get(value);
+  }
+
+  const tag = callIntrinsic(INTRINSICS.typedArrayTag, value);
+  if (tag !== undefined) {
+    const buffer = Reflect.apply(INTRINSICS.typedArrayBuffer, value, []);
+    const byteOffset = Reflect.apply(INTRINSICS.typedArrayByteOffset, value, []);
+    const byteLength = Reflect.apply(INTRINSICS.typedArrayByteLength, value, []);
+    const bytes = copyBytes(buffer, byteOffset, byteLength);
+    return copies.set(value, new globalThis[tag](bytes.buffer)).get(value);
+  }
+
+  const viewBuffer = callIntrinsic(INTRINSICS.dataViewBuffer, value);
+  if (viewBuffer !== undefined) {
+    const byteOffset = Reflect.apply(INTRINSICS.dataViewByteOffset, value, []);
+    const byteLength = Reflect.apply(INTRINSICS.dataViewByteLength, value, []);
+    const bytes = copyBytes(viewBuffer, byteOffset, byteLength);
+    return copies.set(value, new DataView(bytes.buffer)).get(value);
+  }
+
+  // Look for then() on the prototype chain without invoking getters.
+  for (let obj = value; obj; obj = Object.getPrototypeOf(obj)) {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, 'then');
+    if (descriptor) {
+      if (descriptor.get || typeof descriptor.value === 'function') {
+        throw context.marshalFailure(`can't marshal thenable`);
+      }
+      break;
+    }
+  }
+
+  // Arrays and other objects are copied by own enumerable properties.
+  const copy = Array.isArray(value) ? new Array(Object.getOwnPropertyDescriptor(value, 'length').value) : {};
+  copies.set(value, copy);
+  for (const key of Object.keys(value)) {
+    const descriptor = Object.getOwnPropertyDescriptor(value, key);
+    if (!('value' in descriptor)) {
+      throw context.marshalFailure(`can't marshal accessor property '${key}'`);
+    }
+    Object.defineProperty(copy, key, {
+      value: marshal(descriptor.value, context, functions, copies),
+      writable: true,
+      enumerable: true,
+      configurable: true
+    });
+  }
+  return copy;
+}
+
+// Limit on the depth of error cause chains copied to the host.
+const MAX_CAUSE_DEPTH = 8;
+
+const BUILTIN_ERRORS = [
+  Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError
+];
+
+/**
+ * Create a host error from a thrown value, without invoking anything
+ * the script defined. The error has the same built-in or Runtime error
+ * class, the message, name, and stack (translated with the source map)
+ * if they are data properties, the script location, and a cause chain
+ * copied the same way.
+ * @param {*} thrown 
+ * @param {MarshalContext} context 
+ * @param {number} [depth] 
+ * @returns {Error & Object<string, any>}
+ */
+export function marshalError(thrown, context, depth = 0) {
+  if (thrown !== Object(thrown)) {
+    return Object.assign(new Error(String(thrown)), { location: null });
+  }
+
+  // Find the nearest known error class on the prototype chain.
+  const classes = [...context.errorClasses, ...BUILTIN_ERRORS];
+  let cls = null;
+  for (let proto = Object.getPrototypeOf(thrown); proto && !cls; proto = Object.getPrototypeOf(proto)) {
+    cls = classes.find(f => f.prototype === proto);
+  }
+
+  const message = dataProperty(thrown, 'message');
+  /** @type {Error & Object<string, any>} */
+  const error = cls ?
+    Reflect.construct(cls, [typeof message === 'string' ? message : '']) :
+    new Error(typeof message === 'string' ? message : 'script threw a non-Error object');
+
+  // An anonymous function has an empty name, which keeps the default.
+  const name = dataProperty(thrown, 'name');
+  if (typeof name === 'string' && name && name !== error.name) {
+    error.name = name;
+  }
+
+  const stack = dataProperty(thrown, 'stack');
+  if (typeof stack === 'string') {
+    error.stack = SourceMap.patchStackTrace(stack, context.map);
+  }
+
+  if (context.errorClasses.includes(cls)) {
+    for (const key of ['target', 'operation']) {
+      const value = dataProperty(thrown, key);
+      error[key] = typeof value === 'string' ? value : null;
+    }
+  }
+  const location = dataProperty(thrown, 'location');
+  error.location = isLocation(location) ?
+    {
+      source: dataProperty(location, 'source'),
+      line: dataProperty(location, 'line'),
+      column: dataProperty(location, 'column')
+    } :
+    (typeof stack === 'string' ? context.locateTrace(stack) : null);
+
+  const cause = dataProperty(thrown, 'cause');
+  if (cause !== undefined && depth < MAX_CAUSE_DEPTH) {
+    error.cause = cause === Object(cause) ? marshalError(cause, context, depth + 1) : cause;
+  }
+  return error;
+}
+
+/**
+ * Returns an own or inherited data property value without invoking
+ * getters, or undefined.
+ * @param {object} obj 
+ * @param {string} key 
+ */
+function dataProperty(obj, key) {
+  for (; obj; obj = Object.getPrototypeOf(obj)) {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+    if (descriptor) return descriptor.value;
+  }
+  return undefined;
+}
+
+/**
+ * @param {*} location 
+ * @returns {boolean}
+ */
+function isLocation(location) {
+  return location === Object(location) &&
+    typeof dataProperty(location, 'source') === 'string' &&
+    typeof dataProperty(location, 'line') === 'number' &&
+    typeof dataProperty(location, 'column') === 'number';
+}
+
+/**
+ * Copy a range of an ArrayBuffer.
+ * @param {ArrayBuffer} buffer 
+ * @param {number} byteOffset 
+ * @param {number} byteLength 
+ * @returns {Uint8Array}
+ */
+function copyBytes(buffer, byteOffset, byteLength) {
+  const bytes = new Uint8Array(byteLength);
+  Reflect.apply(INTRINSICS.typedArraySet, bytes, [new Uint8Array(buffer, byteOffset, byteLength)]);
+  return bytes;
+}
@@ -0,0 +1,154 @@
+/**
+ * @typedef OverlayContext
+ * @property {Map<object, Map<PropertyKey, PropertyDescriptor|symbol>>} overlay
+ *   property changes made by a single copy-on-write run, by object
+ */
+
+// Marks a property deleted in the copy-on-write overlay.
+const DELETED = Symbol('deleted');
+
+/**
+ * Returns an own property descriptor as seen through the copy-on-write
+ * overlay.
+ * @param {OverlayContext} context 
+ * @param {object} obj 
+ * @param {PropertyKey} property 
+ * @returns {PropertyDescriptor|undefined}
+ */
+export function ownDescriptor(context, obj, property) {
+  const entry = context.overlay.get(obj)?.get(property);
+  if (entry === DELETED) return undefined;
+  return /** @type {PropertyDescriptor} */ (entry) ?? Reflect.getOwnPropertyDescriptor(obj, property);
+}
+
+/**
+ * Returns a property descriptor from the prototype chain as seen
+ * through the copy-on-write overlay.
+ * @param {OverlayContext} context 
+ * @param {object} obj 
+ * @param {PropertyKey} property 
+ * @returns {PropertyDescriptor|undefined}
+ */
+export function findDescriptor(context, obj, property) {
+  for (let holder = obj; holder !== null; holder = Reflect.getPrototypeOf(holder)) {
+    const descriptor = ownDescriptor(context, holder, property);
+    if (descriptor) return descriptor;
+  }
+  return undefined;
+}
+
+/**
+ * Returns the own property keys of an object as seen through the
+ * copy-on-write overlay.
+ * @param {OverlayContext} context 
+ * @param {object} obj 
+ * @returns {Array<string|symbol>}
+ */
+export function overlayKeys(context, obj) {
+  const entries = context.overlay.get(obj);
+  if (!entries) return Reflect.ownKeys(obj);
+  const keys = Reflect.ownKeys(obj).filter(key => entries.get(key) !== DELETED);
+  // Property keys are strings or symbols once defined.
+  for (const [key, entry] of /** @type {Map<string|symbol, any>} */ (entries)) {
+    if (entry !== DELETED && !keys.includes(key)) keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Get a property value as seen through the copy-on-write overlay.
+ * @param {OverlayContext} context 
+ * @param {object} obj 
+ * @param {PropertyKey} property 
+ * @param {*} receiver 
+ */
+export function getOverlay(context, obj, property, receiver) {
+  const descriptor = findDescriptor(context, obj, property);
+  if (!descriptor) return undefined;
+  if ('get' in descriptor || 'set' in descriptor) {
+    return descriptor.get ? Reflect.apply(descriptor.get, receiver, []) : undefined;
+  }
+  return descriptor.value;
+}
+
+/**
+ * Assign a property in the copy-on-write overlay, following the rules
+ * for ordinary assignment.
+ * @param {OverlayContext} context 
+ * @param {object} obj 
+ * @param {PropertyKey} property 
+ * @param {*} value 
+ * @param {*} receiver 
+ * @returns {boolean}
+ */
+export function setOverlay(context, obj, property, value, receiver) {
+  const own = ownDescriptor(context, obj, property);
+  const prototype = Reflect.getPrototypeOf(obj);
+  const descriptor = own ?? (prototype && findDescriptor(context, prototype, property));
+  if (descriptor && ('get' in descriptor || 'set' in descriptor)) {
+    if (!descriptor.set) return false;
+    Reflect.apply(descriptor.set, receiver, [value]);
+    return true;
+  }
+  if (descriptor && !descriptor.writable) return false;
+  return defineOverlay(context, obj, property, own ?
+    { value } :
+    { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Define a property in the copy-on-write overlay. Properties that
+ * are not configurable can't be changed. Overlay properties are
+ * always configurable, and defining one as non-configurable fails,
+ * as a Proxy can't report a non-configurable property unless its
+ * target has one.
+ * @param {OverlayContext} context 
+ * @param {object} obj 
+ * @param {PropertyKey} property 
+ * @param {PropertyDescriptor} descriptor 
+ * @returns {boolean}
+ */
+export function defineOverlay(context, obj, property, descriptor) {
+  const current = ownDescriptor(context, obj, property);
+  if (current ? !current.configurable : !Reflect.isExtensible(obj)) return false;
+  if (descriptor.configurable === false) return false;
+
+  const isAccessor = d => 'get' in d || 'set' in d;
+  const accessor = isAccessor(descriptor) ||
+    (!('value' in descriptor) && !('writable' in descriptor) && !!current && isAccessor(current));
+  const base = current && isAccessor(current) === accessor ? current : {};
+
+  /** @type {PropertyDescriptor} */
+  const merged = {
+    enumerable: descriptor.enumerable ?? current?.enumerable ?? false,
+    configurable: true
+  };
+  if (accessor) {
+    merged.get = 'get' in descriptor ? descriptor.get : base.get;
+    merged.set = 'set' in descriptor ? descriptor.set : base.set;
+  } else {
+    merged.value = 'value' in descriptor ? descriptor.value : base.value;
+    merged.writable = descriptor.writable ?? base.writable ?? false;
+  }
+
+  if (!context.overlay.has(obj)) context.overlay.set(obj, new Map());
+  context.overlay.get(obj).set(property, merged);
+  return true;
+}
+
+/**
+ * Delete a property in the copy-on-write overlay.
+ * @param {OverlayContext} context 
+ * @param {object} obj 
+ * @param {PropertyKey} property 
+ * @returns {boolean}
+ */
+export function deleteOverlay(context, obj, property) {
+  const current = ownDescriptor(context, obj, property);
+  if (!current) return true;
+  if (!current.configurable) return false;
+
+  if (!context.overlay.has(obj)) context.overlay.set(obj, new Map());
+  context.overlay.get(obj).set(property, DELETED);
+  return true;
+}
@@ -0,0 +1,124 @@
+// Copyright 2021 Roy T. Hashimoto. All rights reserved.
+import {
+  DEFAULT_GLOBAL_CLASSES,
+  DEFAULT_GLOBAL_FUNCTIONS,
+  DEFAULT_GLOBAL_OBJECTS
+} from './constants.js';
+
+/**
+ * A policy is a JSON-serializable object that lists allowed global
+ * names and functions as dotted paths from the global scope. A `*`
+ * path segment matches every own property at that level, and a
+ * leading `!` denies the path instead. Denials take precedence.
+ *
+ * An entry may also be an object with a `path` and a `maxCalls` limit
+ * on the number of calls per run to the functions it matches.
+ *
+ * @typedef Policy
+ * @property {Array<string|{path: string, maxCalls?: number}>} allow
+ */
+
+/**
+ * Policy equivalent to the default Transpiler globals and Runtime
+ * whitelist.
+ * @type {Policy}
+ */
+export const DEFAULT_POLICY = {
+  allow: [
+    DEFAULT_GLOBAL_CLASSES.map(name => [name, `${name}.*`, `${name}.prototype.*`]),
+    DEFAULT_GLOBAL_OBJECTS.map(name => `${name}.*`),
+    DEFAULT_GLOBAL_FUNCTIONS,
+    'Function.prototype.call',
+    'Function.prototype.apply',
+    'Function.prototype.bind'
+  ].flat(2)
+};
+
+/**
+ * Resolve a policy against the intrinsics of a global scope.
+ * @param {Policy} policy
+ * @param {object} [root] global scope
+ * @returns {{globals: Set<string>, functions: Set<function>, guards: Map<function, object>}}
+ * names accessible in the global scope, functions permitted to be
+ * called, and guards for some of those functions
+ */
+export function resolvePolicy(policy, root = globalThis) {
+  if (!Array.isArray(policy?.allow)) {
+    throw new TypeError('policy must have an allow array');
+  }
+
+  const globals = new Set();
+  const functions = new Set();
+  const guards = new Map();
+  const denied = [];
+  for (const entry of policy.allow) {
+    const path = typeof entry === 'string' ? entry : entry?.path;
+    if (typeof path !== 'string' || (path.startsWith('!') && path !== entry)) {
+      throw new TypeError(`invalid policy entry ${JSON.stringify(entry)}`);
+    }
+
+    if (path.startsWith('!')) {
+      denied.push(path.slice(1));
+      continue;
+    }
+
+    for (const { name, value } of resolvePath(root, path)) {
+      globals.add(name.split('.')[0]);
+      if (typeof value === 'function') {
+        functions.add(value);
+        if (typeof entry === 'object' && entry.maxCalls !== undefined) {
+          guards.set(value, { maxCalls: entry.maxCalls });
+        }
+      }
+    }
+  }
+
+  for (const path of denied) {
+    for (const { name, value } of resolvePath(root, path)) {
+      if (!name.includes('.')) globals.delete(name);
+      functions.delete(value);
+      guards.delete(value);
+    }
+  }
+  return { globals, functions, guards };
+}
+
+/**
+ * Find the values matching a dotted path. Getters are never invoked;
+ * a path that ends at an accessor property resolves to its getter
+ * and setter functions, unless `accessors` is false, in which case
+ * the accessor is treated as missing.
+ * @param {object} root
+ * @param {string} path
+ * @param {boolean} [accessors]
+ * @returns {Array<{name: string, value: any}>}
+ */
+export function resolvePath(root, path, accessors = true) {
+  const results = [];
+  const visit = (obj, segments, prefix, isWildcard) => {
+    if (!segments.length) {
+      results.push({ name: prefix.join('.'), value: obj });
+      return;
+    }
+
+    const [segment, ...rest] = segments;
+    isWildcard = isWildcard || segment === '*';
+    const descriptors = obj === Object(obj) ? Object.getOwnPropertyDescriptors(obj) : {};
+    const names = segment === '*' ? Object.keys(descriptors) : [segment];
+    for (const name of names) {
+      const descriptor = descriptors[name];
+      const functions = [descriptor?.get, descriptor?.set].filter(f => typeof f === 'function');
+      if (functions.length && !rest.length && accessors) {
+        functions.forEach(f => visit(f, rest, [...prefix, name], isWildcard));
+      } else if (descriptor && !functions.length) {
+        visit(descriptor.value, rest, [...prefix, name], isWildcard);
+      } else if (!isWildcard) {
+        // Missing properties are only errors for an explicit path. Note
+        // that accessors can only be the last segment.
+        throw new Error(`policy path '${path}' not found`);
+      }
+    }
+  };
+  visit(root, path.split('.'), [], false);
+  return results;
+}
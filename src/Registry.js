@@ -0,0 +1,142 @@
+/**
+ * Objects protected from mutation like global objects, with the dotted
+ * path where each was first found. Objects reachable from the
+ * traversal roots are found when first needed rather than at startup,
+ * and found again on refresh().
+ */
+export class Registry {
+  /** @type {WeakSet<object>} */
+  immutables = new WeakSet();
+
+  /** @type {WeakMap<object, string>} */
+  names = new WeakMap();
+
+  /** @type {WeakSet<object>} objects added by add() without deep */
+  shallow = new WeakSet();
+
+  /** @type {Array<object>} roots added by add() with deep */
+  deep = [];
+
+  scanned = false;
+
+  /**
+   * @param {Map<string, object>} roots named traversal roots; the
+   * global scope has the empty name
+   * @param {Registry?} [base] registry with objects also protected,
+   * which the first walk doesn't repeat
+   */
+  constructor(roots, base = null) {
+    this.roots = roots;
+    this.base = base;
+  }
+
+  /**
+   * @param {*} obj 
+   * @returns {boolean}
+   */
+  has(obj) {
+    if (!this.scanned) this._scan(this.base);
+    return this.immutables.has(obj) || !!this.base?.has(obj);
+  }
+
+  /**
+   * @param {*} obj 
+   * @returns {string?}
+   */
+  nameOf(obj) {
+    if (!this.scanned) this._scan(this.base);
+    return this.names.get(obj) ?? this.base?.nameOf(obj) ?? null;
+  }
+
+  /**
+   * @param {object} obj 
+   * @param {boolean} deep also add everything reachable from it
+   */
+  add(obj, deep) {
+    if (deep) {
+      this.deep.push(obj);
+      if (this.scanned) this._walk([[obj, null]], this.base);
+    } else {
+      this.immutables.add(obj);
+      this.shallow.add(obj);
+    }
+  }
+
+  /**
+   * @param {*} obj 
+   * @returns {boolean} true if obj was added without its members
+   */
+  isShallow(obj) {
+    return this.shallow.has(obj);
+  }
+
+  /**
+   * Walk the roots again to find objects added since the last walk.
+   * Objects already found stay protected.
+   */
+  refresh() {
+    this._scan(null);
+  }
+
+  /**
+   * @param {Registry?} skip 
+   */
+  _scan(skip) {
+    this.scanned = true;
+    this._walk([
+      ...[...this.roots].map(([name, obj]) => /** @type {[object, string]} */ ([obj, name])),
+      ...this.deep.map(obj => /** @type {[object, null]} */ ([obj, null]))
+    ], skip);
+  }
+
+  /**
+   * Add everything reachable from the starting objects by properties,
+   * accessor functions, and prototypes, without invoking getters.
+   * @param {Array<[object, string?]>} start starting objects and
+   * their paths
+   * @param {Registry?} skip registry whose objects (and everything
+   * reachable from them) are already protected
+   */
+  _walk(start, skip) {
+    // Named properties are followed first, breadth-first, so the
+    // recorded names are the shortest paths. Prototypes and symbol
+    // keyed properties have no path usable in a policy, so they are
+    // followed afterwards without names.
+    const named = start.filter(([, path]) => path !== null);
+    const unnamed = start.filter(([, path]) => path === null);
+    const visited = new Set();
+    let failures = 0;
+    for (const queue of [named, unnamed]) {
+      for (let i = 0; i < queue.length; ++i) {
+        const [obj, path] = queue[i];
+        if (obj !== Object(obj) || visited.has(obj) || skip?.has(obj)) continue;
+        visited.add(obj);
+        this.immutables.add(obj);
+        if (path && !this.names.has(obj)) this.names.set(obj, path);
+
+        try {
+          unnamed.push([Object.getPrototypeOf(obj), null]);
+          for (const key of Reflect.ownKeys(obj)) {
+            // Exotic objects may list keys without properties.
+            const descriptor = Reflect.getOwnPropertyDescriptor(obj, key);
+            if (!descriptor) continue;
+
+            const { value, get, set } = descriptor;
+            const childPath = path !== null && typeof key === 'string' ?
+              (path ? `${path}.${key}` : key) :
+              null;
+            const children = [value, get, set].map(child => /** @type {[object, string?]} */ ([child, childPath]));
+            (childPath === null ? unnamed : named).push(...children);
+          }
+        } catch (e) {
+          // e.g. a revoked Proxy.
+          ++failures;
+        }
+      }
+    }
+
+    if (failures) {
+      console.warn(`proxy-script could not enumerate ${failures} protected objects`);
+    }
+  }
+}
@@ -1,48 +1,86 @@
 // Copyright 2021 Roy T. Hashimoto. All rights reserved.
 import { SourceMap } from './SourceMap.js';
+import { marshal, marshalError } from './Marshal.js';
+import {
+  defineOverlay, deleteOverlay, findDescriptor, getOverlay, overlayKeys, ownDescriptor, setOverlay
+} from './Overlay.js';
+import { resolvePolicy } from './Policy.js';
+import { Registry } from './Registry.js';
+import { checkSchema, checkValue } from './Schema.js';
+import { selfCheck } from './SelfCheck.js';
+import { Timers } from './Timers.js';
 import {
   DEFAULT_GLOBAL_CLASSES,
   DEFAULT_GLOBAL_FUNCTIONS,
   DEFAULT_GLOBAL_OBJECTS
 } from './constants.js';
 
-// Enumerate global objects and their properties.
-const IMMUTABLES = new WeakSet();
-getImmutables(globalThis);
+/** @typedef {import('./Policy.js').Policy} Policy */
+/** @typedef {import('./Schema.js').Schema} Schema */
+/** @typedef {import('./SelfCheck.js').SelfCheckResult} SelfCheckResult */
 
-// The AsyncFunction constructor is *not* a global object but
-// it needs to be marked as global to prevent mutation.
-const AsyncFunction = (async () => {}).constructor;
-getImmutables(AsyncFunction);
+// Values of every syntactic kind of function, and iterators without
+// global constructors. Their prototype chains contain intrinsics that
+// are *not* global objects, like the AsyncFunction and
+// GeneratorFunction constructors, but need to be marked as global to
+// prevent mutation.
+const SYNTAX_PROBES = [
+  function() {}, function*() {}, async function() {}, async function*() {},
+  () => {}, async () => {}, class {}, { method() {} }.method,
+  (function*() {})(), (async function*() {})(),
+  [][Symbol.iterator](), ''[Symbol.iterator](), new Map().entries(), new Set().values(),
+  'a'.matchAll(/a/g)
+];
 
-function getImmutables(obj) {
-  if (obj === Object(obj) && !IMMUTABLES.has(obj)) {
-    IMMUTABLES.add(obj);
-    const descriptors = Object.getOwnPropertyDescriptors(obj);
-    for (const [name, descriptor] of Object.entries(descriptors)) {
-      try {
-        if (descriptor.get) {
-          getImmutables(descriptor.get);
-          if (descriptor.set) {
-            getImmutables(descriptor.set);
-          }
-        } else {
-          getImmutables(obj[name]);
-        }
-      } catch (e) {
-        console.warn('global enumeration failure', name);
-      }
+/** @type {Set<object>} */
+const SYNTAX_INTRINSICS = new Set();
+
+/** @type {Set<function>} */
+const FUNCTION_CONSTRUCTORS = new Set();
+
+for (const probe of SYNTAX_PROBES) {
+  for (let obj = Object.getPrototypeOf(probe); obj; obj = Object.getPrototypeOf(obj)) {
+    SYNTAX_INTRINSICS.add(obj);
+    const constructor = Object.getOwnPropertyDescriptor(obj, 'constructor')?.value;
+    if (typeof constructor === 'function' && constructsFunctions(constructor)) {
+      FUNCTION_CONSTRUCTORS.add(constructor);
     }
   }
 }
 
+/**
+ * Returns true if a function creates functions when called as a
+ * constructor, like Function.
+ * @param {function} f 
+ */
+function constructsFunctions(f) {
+  const prototype = Object.getOwnPropertyDescriptor(f, 'prototype')?.value;
+  return prototype === Function.prototype ||
+    (prototype === Object(prototype) && Function.prototype.isPrototypeOf(prototype));
+}
+
+// Global names scripts with declarations may use undeclared.
+const DEFAULT_GLOBALS = new Set([
+  DEFAULT_GLOBAL_CLASSES,
+  DEFAULT_GLOBAL_OBJECTS,
+  DEFAULT_GLOBAL_FUNCTIONS
+].flat());
+
+// Default limit on nested script function calls, well below where
+// the engine would throw RangeError.
+const DEFAULT_MAX_CALL_DEPTH = 500;
+
+// Default limits for sandbox timers.
+const DEFAULT_MAX_TIMERS = 16;
+const DEFAULT_MIN_TIMER_DELAY = 4;
+
 const ALLOWED = Symbol('allowed');
 const PREPARED = Symbol('prepared');
 const UNWRAP = Symbol('unwrap');
 
 // For safety, forbid these objects even if the user whitelists them.
 const BLACKLIST = new Set([
-  AsyncFunction,
+  ...FUNCTION_CONSTRUCTORS,
   Function, Function.prototype.toString,
   eval,
   setTimeout, setInterval
@@ -61,58 +99,303 @@ export class Runtime {
     Function.prototype.bind
   ].flat().filter(x => x === Object(x)));
 
+  /** @type {Set<string>} global names scripts may declare */
+  globals = new Set(DEFAULT_GLOBALS);
+
+  /** @type {Map<function, Guard>} conditions on whitelisted functions */
+  guards = new Map();
+
+  /** @type {((event: AuditEvent) => void)?} host audit hook */
+  onEvent = null;
+
+  /** @type {boolean} report violations instead of failing */
+  reportOnly = false;
+
+  /** @type {((report: ViolationReport) => void)?} host violation hook */
+  onViolation = null;
+
+  /** @type {boolean} permit and record non-blacklisted functions */
+  learning = false;
+
+  /** @type {Set<string>} global names and paths used while learning */
+  learned = new Set();
+
   /**
-   * @param {{code: string, externals: object, map?: object}} transpiled 
-   * @param {object?} externals 
+   * @param {RuntimeOptions} [options] 
+   */
+  constructor(options = {}) {
+    if (options.policy) {
+      const { globals, functions, guards } = resolvePolicy(options.policy);
+      this.globals = globals;
+      this.whitelist = functions;
+      this.guards = guards;
+    }
+    this.onEvent = options.onEvent ?? null;
+    this.reportOnly = options.reportOnly ?? false;
+    this.onViolation = options.onViolation ?? null;
+    this.learning = options.learning ?? false;
+
+    /** @type {Registry} objects protected like global objects */
+    this._registry = new Registry(new Map([
+      ...GLOBAL_ROOTS,
+      ...Object.entries(options.roots ?? {})
+    ]), GLOBALS);
+  }
+
+  /**
+   * Returns the minimal policy that permits everything used by runs
+   * in learning mode.
+   * @returns {Policy}
+   */
+  learnedPolicy() {
+    return { allow: [...this.learned].sort() };
+  }
+
+  /**
+   * Protect a host object from mutation by scripts, like a global
+   * object. With `deep`, everything reachable from it is protected
+   * too, including what refreshGlobals() finds later.
+   * @param {object} obj 
+   * @param {{deep?: boolean}} [options] 
+   */
+  protect(obj, options = {}) {
+    const { deep = false } = options;
+    if (obj !== Object(obj)) throw new TypeError('only objects can be protected');
+    this._registry.add(obj, deep);
+  }
+
+  /**
+   * Find global objects installed since they were last found, e.g. by
+   * a polyfill loaded after the Runtime was first used. Global objects
+   * are otherwise found only once per Runtime.
+   */
+  refreshGlobals() {
+    this._registry.refresh();
+  }
+
+  /**
+   * Whitelist a function with conditions checked before every call.
+   * For an external, pass the same function object given to run().
+   * @param {function} f 
+   * @param {Guard} guard 
+   */
+  guard(f, guard) {
+    this.whitelist.add(f);
+    this.guards.set(f, guard);
+  }
+
+  /**
+   * Externals can be an object with a property for each name, or a
+   * resolver function called with each name the script uses. Getters
+   * and the resolver are only called for names the script uses, and
+   * may return a Promise.
+   * @param {Transpiled} transpiled 
+   * @param {Externals} [externals]
+   * @param {RunOptions} [options]
    * @returns {Promise}
    */
-  async run(transpiled, externals = {}) {
+  run(transpiled, externals = {}, options = {}) {
+    return this.start(transpiled, externals, options).result;
+  }
+
+  /**
+   * Like run(), but returns a handle that can also dispose of the run.
+   * Disposing rejects the result if still pending, cancels timers,
+   * revokes the run's proxies, and makes functions created by the
+   * script throw when called.
+   * @param {Transpiled} transpiled 
+   * @param {Externals} [externals]
+   * @param {RunOptions} [options]
+   * @returns {{result: Promise, dispose: () => void}}
+   */
+  start(transpiled, externals = {}, options = {}) {
     transpiled = this._prepare(transpiled);
+    const context = new RunContext(options, transpiled.map, this._registry);
+    const result = this._run(context, transpiled, externals, options);
 
-    // Check that all external references are satisfied.
-    for (const external of transpiled.externals.keys()) {
-      if (!externals.hasOwnProperty(external)) {
-        throw new Runtime.Error(`'${external}' not provided`);
-      }
+    // Disposing a run the host isn't waiting for shouldn't produce an
+    // unhandled rejection.
+    result.catch(() => {});
+    return { result, dispose: () => context.dispose() };
+  }
+
+  /**
+   * @param {RunContext} context 
+   * @param {Transpiled} transpiled 
+   * @param {Externals} externals 
+   * @param {RunOptions} options 
+   */
+  async _run(context, transpiled, externals, options) {
+    if (this.learning) {
+      transpiled.globals?.forEach(name => this.learned.add(name));
     }
 
-    // All proxies are remembered in this map. This is not just an
-    // optimization; it is important that the same proxy is always used
-    // for the same object.
-    const mapObjectToProxy = new WeakMap();
     const support = {
       'Promise': RuntimePromise,
 
-      '_wrap': obj => this._maybeWrap(obj, mapObjectToProxy),
+      '_wrap': obj => {
+        // A function or class referenced by its own name inside its
+        // body is unregistered, so substitute the registered Proxy.
+        obj = context.functions.get(obj) ?? obj;
+        return this._maybeWrap(obj, context);
+      },
 
       '_call': (obj, property, ...args) => {
-        const member = this._maybeWrap(obj[property], mapObjectToProxy);
+        // A proxy consults the copy-on-write overlay itself, but other
+        // objects may inherit from an overlaid global object.
+        const member = this._maybeWrap(
+          context.overlay?.size && obj != null && context.mapObjectToProxy.get(obj) !== obj ?
+            getOverlay(context, Object(obj), property, obj) :
+            obj[property],
+          context);
+
+        // Host methods get the host object itself, not the read-only
+        // view of it, so they can still update their own state.
+        if (context.mapObjectToProxy.get(obj) === obj &&
+            context.protection.has(obj[UNWRAP]) &&
+            !this._registry.has(member[UNWRAP] ?? member)) {
+          obj = obj[UNWRAP];
+        }
         return this._callMethod(obj, member, ...args);
       },
 
-      '_func': Runtime.fn,
-      '_klass': Runtime.cls
+      '_func': f => context.fn(f),
+      '_klass': cls => registerClass(cls, f => context.fn(f)),
+      '_step': () => context.step(),
+      '_resume': value => {
+        context.check();
+        return value;
+      },
+      '_alloc': value => {
+        context.allocate(estimateSize(value));
+        return value;
+      }
     };
-    
+
     try {
+      // Only externals the script uses (and declares) are resolved. The
+      // script starts synchronously unless it must wait for them, and the
+      // run's timeout and abort signal apply while waiting.
+      const declarations = transpiled.declarations;
+      const names = [...transpiled.externals.keys()].filter(name => {
+        return !declarations || declarations.requires.includes(name);
+      });
+      externals = resolveExternals(externals, names);
+      if (externals instanceof Promise) {
+        externals = await Promise.race([externals, context.cancelled]);
+      }
+
+      if (options.timers) {
+        // Timer functions are provided as externals unless the host
+        // supplies its own.
+        const timerOptions = options.timers === true ? {} : options.timers;
+        externals = Object.assign(context.createTimers(timerOptions), externals);
+      }
+
+      // A script that declares what it needs is given no other externals.
+      if (declarations) {
+        externals = Object.fromEntries(Object.entries(externals).filter(([name]) => {
+          return declarations.requires.includes(name);
+        }));
+      }
+
+      // Externals are named for audit events, and protected if requested.
+      for (const [name, value] of Object.entries(externals)) {
+        if (value !== Object(value)) continue;
+        if (this.onEvent) {
+          nameExternal(value, name, context);
+        } else if (!context.names.has(value)) {
+          context.names.set(value, name);
+        }
+
+        const protection = typeof options.protection === 'object' ?
+          options.protection[name] ?? 'writable' :
+          options.protection ?? 'writable';
+        switch (protection) {
+          case 'writable':
+            break;
+          case 'readonly':
+            if (!this._registry.has(value) && !context.protection.has(value)) {
+              context.protection.set(value, 'readonly');
+            }
+            break;
+          case 'deep':
+            protectDeep(value, context);
+            break;
+          default:
+            throw new TypeError(`invalid protection '${protection}' for '${name}'`);
+        }
+      }
+
+      if (declarations) {
+        // Declarations only narrow what a script may use. Declared
+        // globals must be globals of this Runtime, and only default
+        // globals may be used without being declared.
+        for (const name of declarations.globals) {
+          if (!this.globals.has(name)) {
+            throw new Runtime.PermissionError('global not allowed', { target: name, operation: 'access' });
+          }
+        }
+        for (const name of transpiled.globals ?? []) {
+          const isDefault = DEFAULT_GLOBALS.has(name) && this.globals.has(name);
+          if (!isDefault && !declarations.globals.includes(name)) {
+            throw new Runtime.PermissionError('global not declared', { target: name, operation: 'access' });
+          }
+        }
+        for (const name of transpiled.externals.keys()) {
+          if (!declarations.requires.includes(name)) {
+            throw new Runtime.PermissionError('external not declared', { target: name, operation: 'access' });
+          }
+        }
+      }
+
+      // Check that all external references are satisfied.
+      for (const external of transpiled.externals.keys()) {
+        if (!externals.hasOwnProperty(external)) {
+          throw new Runtime.MissingExternalError('external not provided', {
+            target: external,
+            operation: 'access'
+          });
+        }
+      }
+
+      context.check();
       const f = new Function(
         ...Object.keys(support),
         ...Object.keys(externals),
         transpiled.code);
-      return await f(
+      const script = f(
         ...Object.values(support),
         ...Object.values(externals));
-    } catch (e) {
-      if (e === Object(e) && typeof e.stack === 'string') {
-        e.stack = SourceMap.patchStackTrace(e.stack, transpiled.map);
+
+      // Don't wait for a script that has been cancelled.
+      script.catch(() => {});
+      const result = await Promise.race([script, context.cancelled]);
+
+      // The script may have caught a limit error and completed anyway.
+      context.check();
+
+      // The transpiler boxes the top-level return value.
+      const value = Array.isArray(result) ? result[0] : undefined;
+      if (options.marshal) {
+        const functions = typeof options.marshal === 'object' && !!options.marshal.functions;
+        return marshal(value, context, functions);
       }
-      throw e;
+      return value;
+    } catch (e) {
+      // The thrown value may come from the script, so replace it with
+      // a fresh host error.
+      const error = marshalError(e, context);
+      if (options.rawErrors) error.raw = e;
+      throw error;
+    } finally {
+      context.settle();
     }
   }
 
   /**
    * Prepare transpiled code to be run.
-   * @param {{code: string, externals: object, map?: object}} transpiled 
+   * @param {Transpiled} transpiled 
    */
   _prepare(transpiled) {
     if (transpiled[PREPARED]) return transpiled;
@@ -140,30 +423,50 @@ export class Runtime {
   /**
    * Wrap object with immutable Proxy if needed.
    * @param {object} obj 
-   * @param {WeakMap} mapObjectToProxy
+   * @param {RunContext} context
    * @param {boolean} [isImmutableProperty]
    * @returns {any} Proxy for a global, otherwise the argument itself.
    */
-  _maybeWrap(obj, mapObjectToProxy, isImmutableProperty) {
+  _maybeWrap(obj, context, isImmutableProperty) {
     if (obj !== Object(obj)) return obj;
+    const mapObjectToProxy = context.mapObjectToProxy;
     if (mapObjectToProxy.has(obj)) {
       // This object already has a Proxy so use the existing one.
       return mapObjectToProxy.get(obj);
     }
     obj = obj[UNWRAP] ?? obj;
 
+    // Any constructor of functions is as dangerous as Function, even
+    // one not found by the syntax probes.
+    if (typeof obj === 'function' && !obj[ALLOWED] && constructsFunctions(obj)) {
+      BLACKLIST.add(obj);
+    }
+
     if (BLACKLIST.has(obj)) {
-      throw new Runtime.Error('blacklist violation');
+      this._violation(context, 'blacklist violation', obj, 'access', Runtime.BlacklistError);
     }
 
     // A function must either be user-defined or be on the whitelist.
-    if (typeof obj === 'function' && !obj[ALLOWED] && !this.whitelist.has(obj)) {
-      throw new Runtime.Error('permission denied');
+    if (typeof obj === 'function' && !obj[ALLOWED]) {
+      if (this.learning) {
+        this._learn(obj);
+      } else if (!this.whitelist.has(obj)) {
+        this._violation(context, 'permission denied', obj, 'access', Runtime.PermissionError);
+      }
     }
 
-    if (!isImmutableProperty && !IMMUTABLES.has(obj)) return obj;
+    // Guarded functions need a Proxy to intercept calls, as do
+    // protected externals and externals when calls are audited. Only
+    // immutable and protected objects also have their members and
+    // mutations trapped.
+    const immutable = isImmutableProperty || this._registry.has(obj) ||
+      context.protection.has(obj);
+    if (!immutable && !this.guards.has(obj) &&
+        !(this.onEvent && typeof obj === 'function' && context.names.has(obj))) {
+      return obj;
+    }
 
-    const proxy = new Proxy(obj, {
+    const handler = {
       get: (target, property, receiver) => {
         // Use a special "property" to unwrap the proxied object. The
         // second conditional checking that the receiver is really a
@@ -173,15 +476,51 @@ export class Runtime {
           return target;
         }
 
-        // Members of a proxied object are also proxied to protect
-        // them against mutation. The proxy is not returned here because
-        // in some cases not returning the actual value throws an error,
-        // but the creation of the proxy ensures its future use.
-        const member = Reflect.get(target, property);
-        this._maybeWrap(member, mapObjectToProxy, true);
+        if (this.learning) {
+          // Record getters invoked through a global object.
+          const descriptor = Reflect.getOwnPropertyDescriptor(target, property);
+          if (descriptor?.get) this._learn(descriptor.get);
+        }
+
+        // Members of an immutable object are also proxied to protect
+        // them against mutation, except for shallow read-only externals
+        // and objects protected without `deep`.
+        // The proxy is not returned here because in some cases not
+        // returning the actual value throws an error, but the creation
+        // of the proxy ensures its future use.
+        const member = context.overlay?.size ?
+          getOverlay(context, target, property, target) :
+          Reflect.get(target, property);
+        const protection = context.protection.get(target);
+        if (protection === 'deep') {
+          // A getter may have returned something new.
+          protectDeep(member, context);
+        }
+        if (immutable && protection !== 'readonly' && !context.registry.isShallow(target)) {
+          this._maybeWrap(member, context, true);
+        }
         return member;
       },
 
+      // Calls are metered for allocation before they happen.
+      apply: (target, thisArg, args) => {
+        this._checkGuard(context, target, thisArg, args);
+        this._emit(context, 'call', target, args);
+        context.allocate(estimateCallSize(target, thisArg, args));
+        const result = Reflect.apply(target, thisArg, args);
+        context.allocate(estimateResultSize(target, result));
+        return result;
+      },
+
+      construct: (target, args, newTarget) => {
+        this._checkGuard(context, target, undefined, args, 'construct');
+        this._emit(context, 'construct', target, args);
+        context.allocate(estimateCallSize(target, undefined, args));
+        return Reflect.construct(target, args, newTarget);
+      }
+    };
+
+    if (immutable) Object.assign(handler, {
       set: (target, property, value, receiver) => {
         if (!mapObjectToProxy.has(receiver)) {
           // Suppose a script does obj.name = "jen", and obj is not a
@@ -191,20 +530,152 @@ export class Runtime {
           // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Proxy/Proxy/set
           return Reflect.set(target, property, value, receiver);
         }
-        throw new Runtime.Error('set violation');
+        if (context.overlay) return setOverlay(context, target, property, value, receiver);
+        this._violation(context, 'set violation', target, 'set', Runtime.MutationError);
+        return Reflect.set(target, property, value);
       },
 
-      defineProperty() { throw new Runtime.Error('defineProperty violation'); },
-      deleteProperty() { throw new Runtime.Error('deleteProperty violation'); },
-      preventExtensions() { throw new Runtime.Error('preventExtensions violation'); },
-      setPrototypeOf() { throw new Runtime.Error('setPrototypeOf violation'); },
+      // In copy-on-write mode, property changes go to the overlay
+      // instead. In report-only mode, mutations proceed after reporting.
+      defineProperty: (target, property, descriptor) => {
+        if (context.overlay) return defineOverlay(context, target, property, descriptor);
+        this._violation(context, 'defineProperty violation', target, 'defineProperty', Runtime.MutationError);
+        return Reflect.defineProperty(target, property, descriptor);
+      },
+      deleteProperty: (target, property) => {
+        if (context.overlay) return deleteOverlay(context, target, property);
+        this._violation(context, 'deleteProperty violation', target, 'deleteProperty', Runtime.MutationError);
+        return Reflect.deleteProperty(target, property);
+      },
+      preventExtensions: target => {
+        this._violation(context, 'preventExtensions violation', target, 'preventExtensions', Runtime.MutationError);
+        return Reflect.preventExtensions(target);
+      },
+      setPrototypeOf: (target, prototype) => {
+        this._violation(context, 'setPrototypeOf violation', target, 'setPrototypeOf', Runtime.MutationError);
+        return Reflect.setPrototypeOf(target, prototype);
+      },
+
+      // Reflect the copy-on-write overlay, if any.
+      has: (target, property) => {
+        if (!context.overlay?.size) return Reflect.has(target, property);
+        return !!findDescriptor(context, target, property);
+      },
+      getOwnPropertyDescriptor: (target, property) => {
+        if (!context.overlay?.size) return Reflect.getOwnPropertyDescriptor(target, property);
+        return ownDescriptor(context, target, property);
+      },
+      ownKeys: target => {
+        if (!context.overlay?.has(target)) return Reflect.ownKeys(target);
+        return overlayKeys(context, target);
+      },
     });
-    
+
+    const { proxy, revoke } = Proxy.revocable(obj, handler);
     mapObjectToProxy.set(obj, proxy);
     mapObjectToProxy.set(proxy, proxy);
+    context.revokers.push(revoke);
+    if (this.onEvent) {
+      // Name the proxy too, for when it is passed as an argument.
+      const name = nameOf(obj, context);
+      if (name) context.names.set(proxy, name);
+      this._emit(context, 'proxy', obj);
+    }
     return proxy;
   }
+
+  /**
+   * Send an audit event to the host hook, if any. The hook runs
+   * synchronously and anything it throws is kept from the script.
+   * @param {RunContext} context 
+   * @param {'call'|'construct'|'proxy'|'violation'} type 
+   * @param {*} target 
+   * @param {Array} [args] 
+   * @param {string} [message] 
+   */
+  _emit(context, type, target, args, message) {
+    if (!this.onEvent) return;
+    /** @type {AuditEvent} */
+    const event = { type, name: nameOf(target, context), location: null };
+    if (args) event.args = summarizeArguments(args, context);
+    if (message) event.message = message;
+    try {
+      event.location = context.locate();
+      this.onEvent(event);
+    } catch (e) {
+      console.warn('proxy-script onEvent failure', e);
+    }
+  }
+
+  /**
+   * Handle a policy violation. This throws the error unless the Runtime
+   * is in report-only mode, in which case the violation is passed to
+   * the host and the caller proceeds. Blacklist violations always throw.
+   * @param {RunContext} context 
+   * @param {string} message 
+   * @param {*} target 
+   * @param {string} operation 
+   * @param {typeof Runtime.Error} ErrorClass 
+   */
+  _violation(context, message, target, operation, ErrorClass) {
+    this._emit(context, 'violation', target, undefined, message);
+    const error = new ErrorClass(message, {
+      target: nameOf(target, context),
+      operation,
+      location: context.locate()
+    });
+    if (!this.reportOnly || BLACKLIST.has(target)) throw error;
+
+    if (this.onViolation) {
+      /** @type {ViolationReport} */
+      const report = { error, name: error.target, location: error.location };
+      try {
+        this.onViolation(report);
+      } catch (e) {
+        console.warn('proxy-script onViolation failure', e);
+      }
+    }
+  }
   
+  /**
+   * Record the policy path of a function used in learning mode.
+   * Functions without a path from the global scope can't be
+   * expressed in a policy so they are skipped.
+   * @param {function} f 
+   */
+  _learn(f) {
+    const name = this._registry.nameOf(f);
+    if (name && globalThis.hasOwnProperty(name.split('.')[0])) {
+      this.learned.add(name);
+    }
+  }
+
+  /**
+   * Check guard conditions before calling a whitelisted function.
+   * @param {RunContext} context 
+   * @param {function} f 
+   * @param {*} thisArg 
+   * @param {Array} args 
+   * @param {'call'|'construct'} [operation] 
+   */
+  _checkGuard(context, f, thisArg, args, operation = 'call') {
+    const guard = this.guards.get(f);
+    if (!guard) return;
+
+    if (guard.maxCalls !== undefined) {
+      const count = (context.calls.get(f) ?? 0) + 1;
+      context.calls.set(f, count);
+      if (count > guard.maxCalls) {
+        this._violation(
+          context, `call quota exceeded (${guard.maxCalls})`, f, operation, Runtime.GuardError);
+      }
+    }
+
+    if (guard.check && !guard.check(args, thisArg)) {
+      this._violation(context, 'guard rejected call', f, operation, Runtime.GuardError);
+    }
+  }
+
   /**
    * Runtime support for method invocation.
    * @param {*} obj 
@@ -212,20 +683,518 @@ export class Runtime {
    * @param {...any} args 
    */
   _callMethod(obj, method, ...args) {
+    // Reflect.apply() is used so the call doesn't depend on whether
+    // Function.prototype.apply is whitelisted.
     if ((method[UNWRAP] || method) === Function.prototype.bind) {
       // Register bind() return value as a special case.
-      return Runtime.fn(method.apply(obj, args));
+      return Runtime.fn(Reflect.apply(method, obj, args));
     }
-    return method.apply(obj, args);
+    return Reflect.apply(method, obj, args);
   }
 };
 
 Runtime.Error = class extends Error {
-  constructor(message) {
+  /**
+   * The name of the offending global or external and the script
+   * location, if known, are appended to the message.
+   * @param {string} message 
+   * @param {ErrorDetails} [details] 
+   */
+  constructor(message, details = {}) {
+    const { target = null, operation = null, location = null } = details;
+    if (target) message = `${message}: ${target}`;
+    if (location) message = `${message} at <${location.source}>:${location.line}:${location.column}`;
     super(message);
+    /** @type {string} machine-readable error type */
+    this.code = /** @type {any} */ (new.target).code;
+    this.target = target;
+    this.operation = operation;
+    this.location = location;
+  }
+
+  /**
+   * Error objects lose their name, code, and details when passed
+   * through structuredClone() (e.g. to or from a Worker). Passing
+   * this plain object instead and using Runtime.Error.fromJSON() on
+   * the other side is the supported way to transfer them.
+   */
+  toJSON() {
+    const { name, code, message, target, operation, location, stack } = this;
+    return { name, code, message, target, operation, location, stack };
+  }
+
+  /**
+   * Recreate an error from the result of toJSON().
+   * @param {{code: string, message: string} & ErrorDetails & {stack?: string}} data 
+   * @returns {Runtime.Error}
+   */
+  static fromJSON(data) {
+    const cls = Object.values(Runtime).find(f => {
+      return (f === Runtime.Error || f?.prototype instanceof Runtime.Error) && f.code === data.code;
+    }) ?? Runtime.Error;
+
+    // The message already includes the details.
+    const error = new cls(data.message);
+    error.target = data.target ?? null;
+    error.operation = data.operation ?? null;
+    error.location = data.location ?? null;
+    if (typeof data.stack === 'string') error.stack = data.stack;
+    return error;
   }
 };
 
+Runtime.PermissionError = class extends Runtime.Error {};
+Runtime.BlacklistError = class extends Runtime.PermissionError {};
+Runtime.GuardError = class extends Runtime.PermissionError {};
+Runtime.MutationError = class extends Runtime.Error {};
+Runtime.MissingExternalError = class extends Runtime.Error {};
+Runtime.MarshalError = class extends Runtime.Error {};
+Runtime.SchemaError = class extends Runtime.Error {};
+Runtime.LimitError = class extends Runtime.Error {};
+Runtime.StepLimitError = class extends Runtime.LimitError {};
+Runtime.CallDepthError = class extends Runtime.LimitError {};
+Runtime.MemoryLimitError = class extends Runtime.LimitError {};
+Runtime.TimerLimitError = class extends Runtime.LimitError {};
+Runtime.AbortError = class extends Runtime.Error {};
+Runtime.TimeoutError = class extends Runtime.AbortError {};
+Runtime.DisposedError = class extends Runtime.AbortError {};
+
+// Name the error classes and assign their codes.
+for (const [name, code] of Object.entries({
+  Error: 'RUNTIME_ERROR',
+  PermissionError: 'PERMISSION_DENIED',
+  BlacklistError: 'BLACKLISTED',
+  GuardError: 'GUARD_REJECTED',
+  MutationError: 'MUTATION',
+  MissingExternalError: 'MISSING_EXTERNAL',
+  MarshalError: 'MARSHAL_FAILED',
+  SchemaError: 'SCHEMA_MISMATCH',
+  LimitError: 'LIMIT_EXCEEDED',
+  StepLimitError: 'STEP_LIMIT',
+  CallDepthError: 'CALL_DEPTH',
+  MemoryLimitError: 'MEMORY_LIMIT',
+  TimerLimitError: 'TIMER_LIMIT',
+  AbortError: 'ABORTED',
+  TimeoutError: 'TIMEOUT',
+  DisposedError: 'DISPOSED'
+})) {
+  Runtime[name].code = code;
+  Runtime[name].prototype.name = name === 'Error' ? 'RuntimeError' : name;
+}
+
+/**
+ * @typedef {Object<string, any>|((name: string) => any)} Externals
+ */
+
+/**
+ * @typedef Transpiled
+ * @property {string} code
+ * @property {Set<string>|Map<string, any>} externals names the host
+ * must provide
+ * @property {Set<string>} [globals] global names referenced
+ * @property {{requires: Array<string>, globals: Array<string>}?} [declarations]
+ * names declared in the script header
+ * @property {object} [map] source map
+ */
+
+/**
+ * @typedef ErrorDetails
+ * @property {string?} [target] dotted path of a global, external name,
+ * or function name
+ * @property {string?} [operation] e.g. access, call, construct, set,
+ * defineProperty, deleteProperty, preventExtensions, setPrototypeOf
+ * @property {{source: string, line: number, column: number}?} [location]
+ * script source location
+ */
+
+/**
+ * @typedef ExposeDescriptor
+ * @property {Object<string, MethodDescriptor>} [methods] callable methods
+ * @property {Object<string, Schema>} [properties] readable properties
+ */
+
+/**
+ * @typedef MethodDescriptor
+ * @property {Array<Schema>} [args] argument schemas
+ * @property {Schema|{expose: ExposeDescriptor}} [returns] return value
+ * schema, or a descriptor to expose the return value
+ */
+
+/**
+ * @typedef Guard
+ * @property {(args: Array, thisArg: any) => boolean} [check] returns
+ * true if the call is allowed
+ * @property {number} [maxCalls] maximum number of calls per run
+ */
+
+/**
+ * @typedef RuntimeOptions
+ * @property {Policy} [policy] replaces the default whitelist
+ * @property {(event: AuditEvent) => void} [onEvent] audit hook
+ * @property {boolean} [reportOnly] report violations other than
+ * blacklist violations instead of failing
+ * @property {(report: ViolationReport) => void} [onViolation] receives
+ * violations in report-only mode
+ * @property {boolean} [learning] permit and record non-blacklisted
+ * functions to build a policy
+ * @property {Object<string, object>} [roots] named objects to protect
+ * along with everything reachable from them, in addition to the
+ * global scope
+ */
+
+/**
+ * @typedef ViolationReport
+ * @property {Error} error the error that would have been thrown
+ * @property {string?} name dotted path of a global, external name,
+ * or function name
+ * @property {{source: string, line: number, column: number}?} location
+ * script source location, if there is a source map
+ */
+
+/**
+ * @typedef AuditEvent
+ * @property {'call'|'construct'|'proxy'|'violation'} type
+ * @property {string?} name dotted path of a global, external name,
+ * or function name
+ * @property {Array<string>} [args] bounded summary of call arguments
+ * @property {string} [message] violation error message
+ * @property {{source: string, line: number, column: number}?} location
+ * script source location, if there is a source map
+ */
+
+/**
+ * @typedef RunOptions
+ * @property {number} [maxSteps] loop iteration and function entry budget
+ * @property {number} [maxCallDepth] nesting limit for script function calls
+ * @property {number} [maxMemory] approximate allocation quota in bytes
+ * @property {number} [timeout] wall-clock limit in milliseconds
+ * @property {AbortSignal} [signal] host cancellation signal
+ * @property {boolean|TimerOptions} [timers] provide sandbox timer functions
+ * @property {Protection|Object<string, Protection>} [protection] how
+ * externals are protected from mutation, for all or by name
+ * @property {boolean|{functions?: boolean}} [marshal] copy the result
+ * so that using it can't run script code, optionally converting
+ * script functions to host stubs
+ * @property {boolean} [rawErrors] add the original thrown value to
+ * the error as `raw`
+ * @property {boolean} [copyOnWrite] keep changes to global and
+ * protected objects in an overlay seen only by this run, instead of
+ * failing
+ */
+
+/**
+ * 'writable' (the default) passes an external as is, 'readonly'
+ * prevents mutating its own properties, and 'deep' also protects
+ * everything reachable from it.
+ * @typedef {'writable'|'readonly'|'deep'} Protection
+ */
+
+/**
+ * @typedef TimerOptions
+ * @property {number} [maxCount] maximum number of pending timers
+ * @property {number} [minDelay] minimum delay in milliseconds
+ * @property {(e: any) => void} [onError] host handler for callback errors
+ */
+
+// Global objects shared by all Runtime instances, found when first
+// needed.
+const GLOBAL_ROOTS = new Map(/** @type {Array<[string, object]>} */ ([
+  ['', globalThis],
+  ...[...FUNCTION_CONSTRUCTORS].map(f => [f.name, f])
+]));
+const GLOBALS = new Registry(GLOBAL_ROOTS);
+SYNTAX_INTRINSICS.forEach(obj => GLOBALS.add(obj, true));
+
+/**
+ * Per-run execution state.
+ */
+class RunContext {
+  steps = 0;
+  depth = 0;
+  memory = 0;
+
+  // All proxies are remembered in this map. This is not just an
+  // optimization; it is important that the same proxy is always used
+  // for the same object.
+  mapObjectToProxy = new WeakMap();
+
+  /** @type {Map<function, number>} calls to functions with quotas */
+  calls = new Map();
+
+  /** @type {Array<() => void>} revoke functions for the proxies */
+  revokers = [];
+
+  timers = new Timers(this);
+  settled = false;
+
+  /** @type {WeakMap<object, string>} external values to their names */
+  names = new WeakMap();
+
+  /** @type {WeakMap<object, 'readonly'|'deep'>} protected host objects */
+  protection = new WeakMap();
+
+  /** @type {Map<object, Map<PropertyKey, PropertyDescriptor|symbol>>?} copy-on-write changes to proxied objects */
+  overlay = null;
+
+  /** @type {WeakMap<function, function>} script function to registered Proxy */
+  functions = new WeakMap();
+
+  /** @type {Error?} first fatal error, rethrown on every later check */
+  error = null;
+
+  /** @type {Promise<never>} rejects when the run is cancelled */
+  cancelled;
+
+  /**
+   * @param {RunOptions} options 
+   * @param {object} map source map
+   * @param {Registry} registry objects protected like global objects
+   */
+  constructor({
+    maxSteps = Infinity,
+    maxCallDepth = DEFAULT_MAX_CALL_DEPTH,
+    maxMemory = Infinity,
+    timeout,
+    signal,
+    copyOnWrite = false
+  }, map, registry) {
+    this.maxSteps = maxSteps;
+    this.maxCallDepth = maxCallDepth;
+    this.maxMemory = maxMemory;
+    this.map = map;
+    this.registry = registry;
+    if (copyOnWrite) this.overlay = new Map();
+
+    this.cancelled = new Promise((_, reject) => this._reject = reject);
+    this.cancelled.catch(() => {});
+
+    if (timeout !== undefined) {
+      this._timer = setTimeout(() => {
+        this.abort(new Runtime.TimeoutError(`run timed out (${timeout} ms)`));
+      }, timeout);
+    }
+
+    if (signal) {
+      this._signal = signal;
+      this._onAbort = () => this.abort(new Runtime.AbortError('run aborted'));
+      if (signal.aborted) {
+        this._onAbort();
+      } else {
+        signal.addEventListener('abort', this._onAbort);
+      }
+    }
+  }
+
+  /**
+   * Runtime support for loop iteration and function entry checkpoints.
+   */
+  step() {
+    if (++this.steps > this.maxSteps) {
+      this.abort(new Runtime.StepLimitError(`step limit exceeded (${this.maxSteps})`));
+    }
+    this.check();
+  }
+
+  /**
+   * Charge an allocation against the memory quota.
+   * @param {number} bytes estimated size
+   */
+  allocate(bytes) {
+    this.memory += bytes;
+    if (this.memory > this.maxMemory) {
+      this.abort(new Runtime.MemoryLimitError(`memory limit exceeded (${this.maxMemory} bytes)`));
+    }
+    this.check();
+  }
+
+  /**
+   * Throw if the run has already failed.
+   */
+  check() {
+    if (this.error) throw this.error;
+  }
+
+  /**
+   * Returns the script source location of the innermost script frame
+   * on the current stack.
+   */
+  locate() {
+    return this.locateTrace(new Error().stack);
+  }
+
+  /**
+   * Returns the script source location of the innermost script frame
+   * in a stack trace.
+   * @param {string} trace 
+   */
+  locateTrace(trace) {
+    if (!this.map) return null;
+    this._sourceMap = this._sourceMap ?? new SourceMap(this.map);
+    return this._sourceMap.locateTrace(trace);
+  }
+
+  /**
+   * Cancel the run. Checkpoints and registered functions will throw
+   * from now on.
+   * @param {Error} error 
+   */
+  abort(error) {
+    if (!this.error) {
+      this.error = error;
+      this._reject(error);
+      this.close();
+    }
+  }
+
+  /**
+   * Called when the run() Promise settles. The run stays open for
+   * cancellation while the script has pending timers.
+   */
+  settle() {
+    this.settled = true;
+    if (!this.timers.size) this.close();
+  }
+
+  /**
+   * Release host resources held for the run.
+   */
+  close() {
+    clearTimeout(this._timer);
+    this._signal?.removeEventListener('abort', this._onAbort);
+    this.timers.clearAll();
+  }
+
+  /**
+   * End the run permanently.
+   */
+  dispose() {
+    this.abort(new Runtime.DisposedError('run disposed'));
+    this.close();
+    for (const revoke of this.revokers) {
+      revoke();
+    }
+    this.revokers = [];
+  }
+
+  /**
+   * Create sandbox versions of the timer functions. Callbacks must be
+   * registered functions, and all timers are cancelled when the run
+   * is cancelled.
+   * @param {TimerOptions} options 
+   */
+  createTimers({
+    maxCount = DEFAULT_MAX_TIMERS,
+    minDelay = DEFAULT_MIN_TIMER_DELAY,
+    onError = e => console.warn('proxy-script timer callback failed', e)
+  }) {
+    const schedule = (repeat, f, delay, args) => {
+      this.check();
+      if (typeof f !== 'function' || !f[ALLOWED]) {
+        throw new Runtime.Error('timer callback must be a function');
+      }
+      if (this.timers.size >= maxCount) {
+        throw new Runtime.TimerLimitError(`timer limit exceeded (${maxCount})`);
+      }
+
+      delay = Math.max(Number.isFinite(delay) ? delay : 0, minDelay);
+      return this.timers.add(repeat, () => f(...args), delay, e => {
+        // Like a run() rejection, the handler gets a fresh host error.
+        onError(marshalError(e, this));
+      });
+    };
+    const cancel = id => this.timers.cancel(id);
+
+    return {
+      setTimeout: Runtime.fn((f, delay, ...args) => schedule(false, f, delay, args)),
+      setInterval: Runtime.fn((f, delay, ...args) => schedule(true, f, delay, args)),
+      clearTimeout: Runtime.fn(cancel),
+      clearInterval: Runtime.fn(cancel)
+    };
+  }
+
+  // Marshaling support, see MarshalContext in Marshal.js.
+
+  /**
+   * @param {object} obj 
+   * @returns {object|undefined}
+   */
+  unwrap(obj) {
+    return this.mapObjectToProxy.get(obj) === obj ? obj[UNWRAP] : undefined;
+  }
+
+  /**
+   * @param {object} obj 
+   */
+  isShared(obj) {
+    return this.registry.has(obj);
+  }
+
+  /**
+   * @param {object} obj 
+   */
+  isPromise(obj) {
+    const proto = Object.getPrototypeOf(obj);
+    return proto === Promise.prototype || proto === RuntimePromise.prototype;
+  }
+
+  /**
+   * @param {string} message 
+   */
+  marshalFailure(message) {
+    return new Runtime.MarshalError(message);
+  }
+
+  get errorClasses() {
+    return Object.values(Runtime).filter(f => f === Runtime.Error || f?.prototype instanceof Runtime.Error);
+  }
+
+  /**
+   * Return a Proxy for a script function that refuses to be called
+   * after the run fails.
+   * @param {function} f 
+   */
+  fn(f) {
+    if (f[ALLOWED]) return f;
+    const proxy = new Proxy(f, {
+      get: (target, property) => {
+        if (property === ALLOWED) return true;
+        return Reflect.get(target, property);
+      },
+
+      apply: (target, thisArg, args) => {
+        this.enter();
+        try {
+          return Reflect.apply(target, thisArg, args);
+        } finally {
+          this.depth--;
+        }
+      },
+
+      construct: (target, args, newTarget) => {
+        this.enter();
+        try {
+          return Reflect.construct(target, args, newTarget);
+        } finally {
+          this.depth--;
+        }
+      }
+    });
+    this.functions.set(f, proxy);
+    return proxy;
+  }
+
+  /**
+   * Checks before calling a script function.
+   */
+  enter() {
+    this.check();
+    if (this.depth >= this.maxCallDepth) {
+      throw new Runtime.CallDepthError('max call depth exceeded', { location: this.locate() });
+    }
+    this.depth++;
+  }
+}
+
 /**
  * Return a Proxy for the function argument that is allowed to be called.
  * @param {function} f 
@@ -241,24 +1210,175 @@ Runtime.fn = function(f) {
 }
 
 Runtime.cls = function(cls) {
+  return registerClass(cls, Runtime.fn);
+}
+
+/**
+ * Create a capability object for a host object. Only the methods and
+ * properties in the descriptor are available. Method arguments, return
+ * values (resolved values for Promises), and property values are
+ * checked against their schemas on every use, failing with
+ * Runtime.SchemaError.
+ * @param {object} obj 
+ * @param {ExposeDescriptor} descriptor 
+ * @returns {object}
+ */
+Runtime.expose = function(obj, descriptor) {
+  const capability = Object.create(null);
+  for (const [name, { args = [], returns = 'any' }] of Object.entries(descriptor.methods ?? {})) {
+    const method = obj[name];
+    if (typeof method !== 'function') {
+      throw new TypeError(`'${name}' is not a method`);
+    }
+    args.forEach(checkSchema);
+    const expose = typeof returns === 'object' && 'expose' in returns ? returns.expose : null;
+    if (!expose) checkSchema(/** @type {Schema} */ (returns));
+
+    const marshal = value => {
+      if (expose) return value === undefined || value === null ? value : Runtime.expose(value, expose);
+      return checkSchemaValue(value, /** @type {Schema} */ (returns), `${name}() result`);
+    };
+
+    capability[name] = Runtime.fn((...values) => {
+      if (values.length > args.length) {
+        throw new Runtime.SchemaError(`${name}() takes at most ${args.length} arguments`);
+      }
+      args.forEach((schema, i) => checkSchemaValue(values[i], schema, `${name}() argument ${i + 1}`));
+
+      const result = Reflect.apply(method, obj, values);
+      return result instanceof Promise ? result.then(marshal) : marshal(result);
+    });
+  }
+
+  for (const [name, schema] of Object.entries(descriptor.properties ?? {})) {
+    checkSchema(schema);
+    Object.defineProperty(capability, name, {
+      get: () => checkSchemaValue(obj[name], schema, name),
+      enumerable: true
+    });
+  }
+  return Object.freeze(capability);
+}
+
+/**
+ * Run a built-in corpus of known sandbox escape attempts and report
+ * which succeed on the current engine. Pass a Runtime to check its
+ * configuration instead of the default one. Babel must be registered
+ * with the Transpiler.
+ * @param {{runtime?: Runtime}} [options] 
+ * @returns {Promise<Array<SelfCheckResult>>}
+ */
+Runtime.selfCheck = function(options = {}) {
+  const { runtime = new Runtime() } = options;
+  return selfCheck(runtime);
+}
+
+/**
+ * Returns the externals as an object of values, or a Promise for it if
+ * any are pending. Own enumerable data properties are used as is,
+ * while getters and a resolver function are only called for the given
+ * names. Getters may also be inherited, e.g. from a class, but not
+ * from Object.prototype. A resolver returning undefined leaves the
+ * name unresolved, e.g. for timers.
+ * @param {Externals} externals 
+ * @param {Array<string>} names externals the script uses
+ * @returns {object|Promise<object>}
+ */
+function resolveExternals(externals, names) {
+  const resolved = {};
+  const pending = [];
+  const resolve = (name, f) => {
+    const missing = e => {
+      const error = new Runtime.MissingExternalError('external not provided', {
+        target: name,
+        operation: 'access'
+      });
+      // @ts-ignore
+      error.cause = e;
+      return error;
+    };
+    const set = value => {
+      if (value !== undefined) resolved[name] = value;
+    };
+
+    let value;
+    try {
+      value = f();
+    } catch (e) {
+      throw missing(e);
+    }
+    if (typeof value?.then === 'function') {
+      pending.push(Promise.resolve(value).then(set, e => {
+        throw missing(e);
+      }));
+    } else {
+      set(value);
+    }
+  };
+
+  if (typeof externals === 'function') {
+    names.forEach(name => resolve(name, () => externals(name)));
+  } else {
+    const descriptors = Object.getOwnPropertyDescriptors(externals);
+    for (const [name, descriptor] of Object.entries(descriptors)) {
+      if (!descriptor.enumerable) continue;
+      if ('value' in descriptor) {
+        resolved[name] = descriptor.value;
+      } else if (descriptor.get && names.includes(name)) {
+        resolve(name, () => descriptor.get.call(externals));
+      }
+    }
+
+    for (const name of names) {
+      if (Object.prototype.hasOwnProperty.call(descriptors, name)) continue;
+      for (let obj = Object.getPrototypeOf(externals);
+           obj && obj !== Object.prototype;
+           obj = Object.getPrototypeOf(obj)) {
+        const descriptor = Object.getOwnPropertyDescriptor(obj, name);
+        if (!descriptor) continue;
+        if (descriptor.get) resolve(name, () => descriptor.get.call(externals));
+        break;
+      }
+    }
+  }
+  return pending.length ? Promise.all(pending).then(() => resolved) : resolved;
+}
+
+/**
+ * @param {*} value 
+ * @param {Schema} schema 
+ * @param {string} name 
+ */
+function checkSchemaValue(value, schema, name) {
+  const message = checkValue(value, schema, name);
+  if (message) throw new Runtime.SchemaError(message);
+  return value;
+}
+
+/**
+ * Register a class and its prototype methods and accessors.
+ * @param {function} cls 
+ * @param {(f: function) => function} fn registration function
+ */
+function registerClass(cls, fn) {
   const descriptors = Object.getOwnPropertyDescriptors(cls.prototype);
   for (const [key, descriptor] of Object.entries(descriptors)) {
     if (typeof descriptor.get === 'function') {
       // @ts-ignore
-      descriptor.get = Runtime.fn(descriptor.get);
+      descriptor.get = fn(descriptor.get);
       if (typeof descriptor.set === 'function') {
         // @ts-ignore
-        descriptor.set = Runtime.fn(descriptor.set);
+        descriptor.set = fn(descriptor.set);
       }
       Object.defineProperty(cls.prototype, key, descriptor);
     } else if (key !== 'constructor') {
       const member = cls.prototype[key];
       if (typeof member === 'function') {
-        cls.prototype[key] = Runtime.fn(member);
+        cls.prototype[key] = fn(member);
       }
     }
   }
-  return Runtime.fn(cls);
+  return fn(cls);
 }
 
 // Expose Promise that works. Dynamically created functions that come
@@ -273,6 +1393,223 @@ const RuntimePromise = Runtime.fn(Object.freeze(class extends Promise {
   }
 }));
 
+// Scripts can reach the prototype, which is not a global object, so
+// freeze it too. This also keeps subscribing to a script Promise from
+// running script code.
+Object.freeze(RuntimePromise.prototype);
+
+// Approximate sizes in bytes.
+const SIZE_OF_CHAR = 2;
+const SIZE_OF_ELEMENT = 8;
+const SIZE_OF_PROPERTY = 16;
+const SIZE_OF_OBJECT = 16;
+
+const TYPED_ARRAYS = [
+  'Int8Array', 'Int16Array', 'Int32Array',
+  'Uint8Array', 'Uint16Array', 'Uint32Array',
+  'Float32Array', 'Float64Array'
+].map(name => globalThis[name]);
+
+/** @typedef {(thisArg: any, args: Array) => number} CallEstimate */
+
+// Whitelisted functions that can allocate large amounts of memory
+// mapped to an estimate of the allocation from their arguments.
+/** @type {Map<function, CallEstimate>} */
+const ALLOCATING_CALLS = new Map(/** @type {Array<[function, CallEstimate]>} */ ([
+  [Array, (_, args) => {
+    return args.length === 1 ? countOf(args[0]) * SIZE_OF_ELEMENT : args.length * SIZE_OF_ELEMENT;
+  }],
+  [ArrayBuffer, (_, [length]) => countOf(length)],
+  [String.prototype.repeat, (s, [count]) => lengthOf(s) * countOf(count) * SIZE_OF_CHAR],
+  [String.prototype.padStart, (_, [length]) => countOf(length) * SIZE_OF_CHAR],
+  [String.prototype.padEnd, (_, [length]) => countOf(length) * SIZE_OF_CHAR],
+  [Array.prototype.fill, a => lengthOf(a) * SIZE_OF_ELEMENT],
+  [Array.prototype.concat, (a, args) => {
+    return [a, ...args].reduce((sum, arg) => sum + Math.max(lengthOf(arg), 1), 0) * SIZE_OF_ELEMENT;
+  }]
+]));
+for (const cls of TYPED_ARRAYS) {
+  ALLOCATING_CALLS.set(cls, (_, [arg]) => {
+    // A buffer argument creates a view on existing memory.
+    const count = arg instanceof ArrayBuffer ? 0 : countOf(arg) || lengthOf(arg);
+    return count * cls.BYTES_PER_ELEMENT;
+  });
+}
+
+// Whitelisted functions whose allocation is measured from their result.
+/** @type {Map<function, (result: any) => number>} */
+const ALLOCATING_RESULTS = new Map([
+  [Array.prototype.join, s => lengthOf(s) * SIZE_OF_CHAR]
+]);
+
+/**
+ * Estimate memory allocated by calling a whitelisted function.
+ * @param {function} f 
+ * @param {*} thisArg 
+ * @param {Array} args 
+ */
+function estimateCallSize(f, thisArg, args) {
+  return ALLOCATING_CALLS.get(f)?.(thisArg, args) ?? 0;
+}
+
+/**
+ * Estimate memory allocated by a whitelisted function from its result.
+ * @param {function} f 
+ * @param {*} result 
+ */
+function estimateResultSize(f, result) {
+  return ALLOCATING_RESULTS.get(f)?.(result) ?? 0;
+}
+
+/**
+ * Estimate memory used by a script literal or string concatenation.
+ * @param {*} value 
+ */
+function estimateSize(value) {
+  if (typeof value === 'string') return value.length * SIZE_OF_CHAR;
+  if (Array.isArray(value)) return SIZE_OF_OBJECT + value.length * SIZE_OF_ELEMENT;
+  if (value === Object(value)) {
+    return SIZE_OF_OBJECT + Reflect.ownKeys(value).length * SIZE_OF_PROPERTY;
+  }
+  return 0;
+}
+
+/**
+ * Returns the argument if it is a non-negative number, otherwise zero.
+ * @param {*} n 
+ */
+function countOf(n) {
+  return typeof n === 'number' && n > 0 ? n : 0;
+}
+
+/**
+ * Returns the length of a string or array-like object, otherwise zero.
+ * Getters are not invoked.
+ * @param {*} obj 
+ */
+function lengthOf(obj) {
+  if (typeof obj === 'string') return obj.length;
+  if (obj === Object(obj)) {
+    return countOf(Object.getOwnPropertyDescriptor(obj, 'length')?.value);
+  }
+  return 0;
+}
+
+/**
+ * Mark a host object graph for deep read-only protection. This follows
+ * property values, accessor functions, and prototypes without invoking
+ * getters, stopping at global objects.
+ * @param {*} root 
+ * @param {RunContext} context 
+ */
+function protectDeep(root, context) {
+  const { protection, registry } = context;
+  const queue = [root];
+  for (let i = 0; i < queue.length; ++i) {
+    const obj = queue[i];
+    if (obj !== Object(obj) || registry.has(obj) || protection.get(obj) === 'deep') continue;
+    protection.set(obj, 'deep');
+
+    queue.push(Object.getPrototypeOf(obj));
+    for (const key of Reflect.ownKeys(obj)) {
+      const { value, get, set } = Reflect.getOwnPropertyDescriptor(obj, key);
+      queue.push(value, get, set);
+    }
+  }
+}
+
+/**
+ * Name an external and the functions reachable from it for audit
+ * events, e.g. `storage.get` for a method of the `storage` external.
+ * Getters are never invoked, and global objects are not followed.
+ * @param {object} root 
+ * @param {string} name 
+ * @param {RunContext} context 
+ */
+function nameExternal(root, name, context) {
+  const { names, registry } = context;
+  const visited = new Set();
+  const queue = [{ obj: root, path: name }];
+  for (let i = 0; i < queue.length; ++i) {
+    const { obj, path } = queue[i];
+    if (obj !== Object(obj) || registry.has(obj) || visited.has(obj)) continue;
+    visited.add(obj);
+    if (!names.has(obj) && (obj === root || typeof obj === 'function')) {
+      names.set(obj, path);
+    }
+
+    // Inherited methods are named as members of the object.
+    queue.push({ obj: Object.getPrototypeOf(obj), path });
+    for (const key of Reflect.ownKeys(obj)) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(obj, key);
+      if (typeof key === 'string' && descriptor && 'value' in descriptor) {
+        queue.push({ obj: descriptor.value, path: `${path}.${key}` });
+      }
+    }
+  }
+}
+
+// Bounds on audit event argument summaries.
+const MAX_SUMMARY_ARGS = 8;
+const MAX_SUMMARY_STRING = 64;
+
+/**
+ * Returns the recorded name of a global or external, or else the
+ * name of a function. Getters are not invoked.
+ * @param {*} obj 
+ * @param {RunContext} context 
+ * @returns {string?}
+ */
+function nameOf(obj, context) {
+  if (obj !== Object(obj)) return null;
+  const name = context.registry.nameOf(obj) ?? context.names.get(obj);
+  if (name) return name;
+  if (typeof obj === 'function') {
+    const value = Object.getOwnPropertyDescriptor(obj, 'name')?.value;
+    if (typeof value === 'string' && value) return value;
+  }
+  return null;
+}
+
+/**
+ * Describe call arguments without running any script code.
+ * @param {Array} args 
+ * @param {RunContext} context 
+ * @returns {Array<string>}
+ */
+function summarizeArguments(args, context) {
+  const summary = args.slice(0, MAX_SUMMARY_ARGS).map(value => {
+    switch (typeof value) {
+      case 'string':
+        return JSON.stringify(value.length > MAX_SUMMARY_STRING ?
+          `${value.slice(0, MAX_SUMMARY_STRING)}...` :
+          value);
+      case 'bigint':
+        return `${value}n`;
+      case 'symbol':
+        return 'symbol';
+      case 'function':
+      case 'object':
+        if (value === null) return 'null';
+        try {
+          const name = nameOf(value, context);
+          if (typeof value === 'function') return name ? `[function ${name}]` : '[function]';
+          if (name) return `[${name}]`;
+          return Array.isArray(value) ? `[array(${lengthOf(value)})]` : '[object]';
+        } catch (e) {
+          // Revoked proxy.
+          return `[${typeof value}]`;
+        }
+      default:
+        return String(value);
+    }
+  });
+  if (args.length > MAX_SUMMARY_ARGS) {
+    summary.push(`...${args.length - MAX_SUMMARY_ARGS} more`);
+  }
+  return summary;
+}
+
 /**
  * Given a class, returns array of related items (including the class).
  * @param {function} cls 
@@ -0,0 +1,124 @@
+// Copyright 2021 Roy T. Hashimoto. All rights reserved.
+
+/**
+ * A schema is either a type name or an object with a `type` property
+ * and optional constraints. Type names are `any`, `undefined`, `null`,
+ * `boolean`, `number`, `integer`, `bigint`, `string`, `symbol`,
+ * `function`, `object`, and `array`.
+ *
+ * Values are checked without invoking getters, so object and array
+ * values given `properties` or `items` schemas must have only data
+ * properties.
+ *
+ * @typedef {string|SchemaObject} Schema
+ *
+ * @typedef SchemaObject
+ * @property {string} type
+ * @property {boolean} [optional] also allow undefined
+ * @property {Array} [enum] allowed primitive values
+ * @property {number} [min] minimum number
+ * @property {number} [max] maximum number
+ * @property {number} [maxLength] maximum string or array length
+ * @property {Schema} [items] schema for array elements
+ * @property {Object<string, Schema>} [properties] schemas for object
+ * properties
+ */
+
+const TYPES = new Set([
+  'any', 'undefined', 'null', 'boolean', 'number', 'integer', 'bigint',
+  'string', 'symbol', 'function', 'object', 'array'
+]);
+
+/**
+ * Throw if a schema is malformed.
+ * @param {Schema} schema
+ */
+export function checkSchema(schema) {
+  const type = typeof schema === 'string' ? schema : schema?.type;
+  if (!TYPES.has(type)) {
+    throw new TypeError(`invalid schema type ${JSON.stringify(type)}`);
+  }
+  if (typeof schema === 'object') {
+    if (schema.items !== undefined) checkSchema(schema.items);
+    Object.values(schema.properties ?? {}).forEach(checkSchema);
+  }
+}
+
+/**
+ * Check a value against a schema.
+ * @param {*} value
+ * @param {Schema} schema
+ * @param {string} name used in the message
+ * @returns {string?} description of the mismatch, or null if the value
+ * matches
+ */
+export function checkValue(value, schema, name) {
+  const { type, ...constraints } = typeof schema === 'string' ? { type: schema } : schema;
+  if (value === undefined && constraints.optional) return null;
+  if (!isType(value, type)) return `${name} must be ${type}`;
+
+  if (constraints.enum && !constraints.enum.includes(value)) {
+    return `${name} must be one of ${constraints.enum.map(String).join(', ')}`;
+  }
+  if (constraints.min !== undefined && !(value >= constraints.min)) {
+    return `${name} must be at least ${constraints.min}`;
+  }
+  if (constraints.max !== undefined && !(value <= constraints.max)) {
+    return `${name} must be at most ${constraints.max}`;
+  }
+
+  if (constraints.maxLength !== undefined || constraints.items) {
+    const length = typeof value === 'string' ? value.length : ownDataProperty(value, 'length');
+    if (typeof length !== 'number') return `${name} must have a length`;
+    if (constraints.maxLength !== undefined && length > constraints.maxLength) {
+      return `${name} must have length at most ${constraints.maxLength}`;
+    }
+
+    if (constraints.items) {
+      for (let i = 0; i < length; ++i) {
+        const item = ownDataProperty(value, String(i));
+        if (item === ACCESSOR) return `${name}[${i}] must not be an accessor`;
+        const message = checkValue(item, constraints.items, `${name}[${i}]`);
+        if (message) return message;
+      }
+    }
+  }
+
+  for (const [key, propertySchema] of Object.entries(constraints.properties ?? {})) {
+    const property = ownDataProperty(value, key);
+    if (property === ACCESSOR) return `${name}.${key} must not be an accessor`;
+    const message = checkValue(property, propertySchema, `${name}.${key}`);
+    if (message) return message;
+  }
+  return null;
+}
+
+/**
+ * @param {*} value
+ * @param {string} type
+ */
+function isType(value, type) {
+  switch (type) {
+    case 'any': return true;
+    case 'null': return value === null;
+    case 'integer': return Number.isInteger(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+const ACCESSOR = Symbol('accessor');
+
+/**
+ * Returns an own data property value, or a marker for an accessor.
+ * Inherited properties are not considered.
+ * @param {object} obj
+ * @param {string} key
+ */
+function ownDataProperty(obj, key) {
+  if (obj !== Object(obj)) return undefined;
+  const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+  if (descriptor && !('value' in descriptor)) return ACCESSOR;
+  return descriptor?.value;
+}
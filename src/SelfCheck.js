@@ -0,0 +1,151 @@
+// Copyright 2021 Roy T. Hashimoto. All rights reserved.
+import { Transpiler } from './Transpiler.js';
+
+/** @typedef {import('./Runtime.js').Runtime} Runtime */
+
+/**
+ * Property name that mutation attempts try to add.
+ */
+export const ESCAPE_MARKER = '__proxyScriptSelfCheck';
+
+/**
+ * Known ways to escape a sandbox like this one, used by
+ * Runtime.selfCheck(). An attempt without a `target` succeeds if its
+ * script returns true. An attempt with a `target` succeeds if its
+ * script adds ESCAPE_MARKER to the target object, as a configurable
+ * property so it can be removed.
+ *
+ * @typedef EscapeAttempt
+ * @property {string} name
+ * @property {string} source
+ * @property {() => object} [target]
+ *
+ * @type {Array<EscapeAttempt>}
+ */
+export const ESCAPE_ATTEMPTS = [
+  // Code execution with the host's global scope.
+  {
+    name: 'Function from arrow function constructor',
+    source: `return (() => {}).constructor('return true')();`
+  },
+  {
+    name: 'Function from Object constructor',
+    source: `return ({}).constructor.constructor('return true')();`
+  },
+  {
+    name: 'Function from whitelisted method',
+    source: `return [].map.constructor('return true')();`
+  },
+  {
+    name: 'Function from bound constructor',
+    source: `return (() => {}).constructor.bind(null, 'return true')()();`
+  },
+  {
+    name: 'Function subclass',
+    source: `
+      class F extends (() => {}).constructor {}
+      return new F('return true')();`
+  },
+  {
+    name: 'AsyncFunction',
+    source: `return await (async () => {}).constructor('return true')();`
+  },
+  {
+    name: 'GeneratorFunction',
+    source: `return (function*() {}).constructor('yield true')().next().value;`
+  },
+  {
+    name: 'GeneratorFunction from prototype',
+    source: `return Object.getPrototypeOf(function*() {}).constructor('yield true')().next().value;`
+  },
+  {
+    name: 'AsyncGeneratorFunction',
+    source: `return (await (async function*() {}).constructor('yield true')().next()).value;`
+  },
+  {
+    name: 'global object as this',
+    source: `return typeof (function() { return this; })() !== 'undefined';`
+  },
+  {
+    name: 'global object as callback this',
+    source: `return typeof [0].map(function() { return this; })[0] !== 'undefined';`
+  },
+
+  // Mutation of objects shared with the host.
+  {
+    name: 'set on Object.prototype',
+    source: `Object.prototype.${ESCAPE_MARKER} = true;`,
+    target: () => Object.prototype
+  },
+  {
+    name: 'define on Array.prototype',
+    source: `Object.defineProperty(Array.prototype, '${ESCAPE_MARKER}', { value: true, configurable: true });`,
+    target: () => Array.prototype
+  },
+  {
+    name: 'set through __proto__',
+    source: `({}).__proto__.${ESCAPE_MARKER} = true;`,
+    target: () => Object.prototype
+  },
+  {
+    name: 'assign to Object.prototype',
+    source: `Object.assign(Object.prototype, { ${ESCAPE_MARKER}: true });`,
+    target: () => Object.prototype
+  },
+  {
+    name: 'set on %TypedArray%.prototype',
+    source: `Object.getPrototypeOf(Int8Array.prototype).${ESCAPE_MARKER} = true;`,
+    target: () => Object.getPrototypeOf(Int8Array.prototype)
+  },
+  {
+    name: 'set on %GeneratorFunction.prototype%',
+    source: `Object.getPrototypeOf(function*() {}).${ESCAPE_MARKER} = true;`,
+    target: () => Object.getPrototypeOf(function*() {})
+  },
+  {
+    name: 'set on %ArrayIteratorPrototype%',
+    source: `Object.getPrototypeOf([].values()).${ESCAPE_MARKER} = true;`,
+    target: () => Object.getPrototypeOf([].values())
+  }
+];
+
+// Limits for self-check runs.
+const SELF_CHECK_OPTIONS = { maxSteps: 100000, timeout: 1000 };
+
+/**
+ * Run the escape attempts with a Runtime and report which succeed.
+ * This is the implementation of Runtime.selfCheck().
+ * @param {Runtime} runtime 
+ * @returns {Promise<Array<SelfCheckResult>>}
+ */
+export async function selfCheck(runtime) {
+  const results = [];
+  for (const { name, source, target } of ESCAPE_ATTEMPTS) {
+    /** @type {SelfCheckResult} */
+    const result = { name, escaped: false, error: null };
+    const transpiled = new Transpiler().transpile(source);
+    try {
+      const value = await runtime.run(transpiled, {}, SELF_CHECK_OPTIONS);
+      result.escaped = !target && value === true;
+    } catch (e) {
+      result.error = e.message;
+    }
+
+    // Undo a successful mutation.
+    const obj = target?.();
+    if (obj && Object.prototype.hasOwnProperty.call(obj, ESCAPE_MARKER)) {
+      delete obj[ESCAPE_MARKER];
+      result.escaped = true;
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * @typedef SelfCheckResult
+ * @property {string} name escape attempt
+ * @property {boolean} escaped true if the attempt succeeded
+ * @property {string?} error message of the error that stopped the
+ * attempt, if any
+ */
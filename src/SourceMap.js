@@ -6,6 +6,10 @@ const SOURCEMAP_OFFSET = (function() {
   return lines.findIndex(line => line.includes('debugger'));
 })();
 
+// Stack frames from code created with `new Function()` in Runtime._run().
+const V8_FRAME = /^(.*eval at _run .*)<anonymous>:(\d+):(\d+)/;
+const FIREFOX_FRAME = /^(.* )Function:(\d+):(\d+)$/;
+
 export class SourceMap {
   _groups = [];
 
@@ -63,33 +67,67 @@ export class SourceMap {
       .join('\n');
   }
 
+  /**
+   * Returns the original source location of the first frame in a
+   * stack trace that comes from the transpiled code.
+   * @param {string} trace stack trace from Error.stack
+   * @returns {{source: string, line: number, column: number}?}
+   */
+  locateTrace(trace) {
+    for (const frame of trace.split('\n')) {
+      const match = this.matchFrame(frame);
+      if (match) return match.location;
+    }
+    return null;
+  }
+
   patchV8(frame) {
-    const m = frame.match(/^(.*eval at run .*)<anonymous>:(\d+):(\d+)/);
-    if (m) {
-      // Note adjustments for 1-based line numbers.
-      const line = parseInt(m[2]) - 1;
-      const column = parseInt(m[3]);
-      const location = this.locate(line, column);
-      if (location) {
-        return `${m[1]}<${location.source}>:${location.sourceLine + 1}:${location.sourceColumn})`;
-      }
+    const match = this.matchFrame(frame, V8_FRAME);
+    if (match) {
+      const { prefix, location } = match;
+      return `${prefix}<${location.source}>:${location.line}:${location.column})`;
     }
     return frame;
   }
 
   patchFirefox(frame) {
-    const m = frame.match(/^(.* )Function:(\d+):(\d+)$/);
-    if (m) {
-      // Note adjustments for 1-based line numbers.
-      const line = parseInt(m[2]) - 1;
-      const column = parseInt(m[3]);
-      const location = this.locate(line, column);
-      if (location) {
-        return `${m[1]}<${location.source}>:${location.sourceLine + 1}:${location.sourceColumn}`;
-      }
+    const match = this.matchFrame(frame, FIREFOX_FRAME);
+    if (match) {
+      const { prefix, location } = match;
+      return `${prefix}<${location.source}>:${location.line}:${location.column}`;
     }
     return frame;
   }
+
+  /**
+   * Match a stack frame from the transpiled code and locate it in the
+   * original source.
+   * @param {string} frame 
+   * @param {...RegExp} patterns 
+   */
+  matchFrame(frame, ...patterns) {
+    if (!patterns.length) patterns = [V8_FRAME, FIREFOX_FRAME];
+    for (const pattern of patterns) {
+      const m = frame.match(pattern);
+      if (m) {
+        // Note adjustments for 1-based line numbers.
+        const line = parseInt(m[2]) - 1;
+        const column = parseInt(m[3]);
+        const location = this.locate(line, column);
+        if (location) {
+          return {
+            prefix: m[1],
+            location: {
+              source: location.source,
+              line: location.sourceLine + 1,
+              column: location.sourceColumn
+            }
+          };
+        }
+      }
+    }
+    return null;
+  }
 }
 
 /**
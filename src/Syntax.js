@@ -0,0 +1,141 @@
+// Copyright 2021 Roy T. Hashimoto. All rights reserved.
+
+const FUNCTION_TYPES = [
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+];
+
+/**
+ * Syntax features a script may use, by name. Each feature lists the
+ * Babel AST node types that use it, and optionally a test to narrow
+ * the match.
+ * @type {Object<string, {types: Array<string>, test?: (node: any) => boolean}>}
+ */
+export const SYNTAX_FEATURES = {
+  variable: { types: ['VariableDeclaration'] },
+  assignment: { types: ['AssignmentExpression', 'UpdateExpression'] },
+  branch: { types: ['IfStatement', 'SwitchStatement'] },
+  loop: {
+    types: [
+      'ForStatement', 'ForInStatement', 'ForOfStatement',
+      'WhileStatement', 'DoWhileStatement'
+    ]
+  },
+  function: { types: FUNCTION_TYPES },
+  async: {
+    types: [...FUNCTION_TYPES, 'AwaitExpression', 'ForOfStatement'],
+    test: node => node.type === 'AwaitExpression' || !!node.async || !!node.await
+  },
+  generator: {
+    types: [...FUNCTION_TYPES, 'YieldExpression'],
+    test: node => node.type === 'YieldExpression' || !!node.generator
+  },
+  class: { types: ['ClassDeclaration', 'ClassExpression'] },
+  new: { types: ['NewExpression'] },
+  exception: { types: ['TryStatement', 'ThrowStatement'] },
+  destructuring: { types: ['ObjectPattern', 'ArrayPattern'] },
+  spread: { types: ['SpreadElement', 'RestElement'] },
+  template: { types: ['TemplateLiteral', 'TaggedTemplateExpression'] },
+  regex: { types: ['RegExpLiteral'] },
+  'optional-chaining': { types: ['OptionalMemberExpression', 'OptionalCallExpression'] },
+  label: { types: ['LabeledStatement'] },
+  debugger: { types: ['DebuggerStatement'] },
+  with: { types: ['WithStatement'] }
+};
+
+// Feature names by node type.
+const FEATURES_BY_TYPE = new Map();
+for (const [name, { types }] of Object.entries(SYNTAX_FEATURES)) {
+  for (const type of types) {
+    FEATURES_BY_TYPE.set(type, [...(FEATURES_BY_TYPE.get(type) ?? []), name]);
+  }
+}
+
+/**
+ * Returns the names of the syntax features an AST node uses.
+ * @param {{type: string}} node
+ * @returns {Array<string>}
+ */
+export function featuresOf(node) {
+  const names = FEATURES_BY_TYPE.get(node.type) ?? [];
+  return names.filter(name => SYNTAX_FEATURES[name].test?.(node) ?? true);
+}
+
+/**
+ * Named sets of allowed syntax features.
+ * @type {Object<string, Array<string>>}
+ */
+export const SYNTAX_PROFILES = {
+  // Simple expressions, e.g. `return price * (1 + rate)`.
+  expression: ['new', 'template', 'optional-chaining', 'spread'],
+
+  // Expressions, variables, control flow, and functions.
+  basic: [
+    'new', 'template', 'optional-chaining', 'spread',
+    'variable', 'assignment', 'branch', 'loop', 'function',
+    'exception', 'destructuring'
+  ],
+
+  // Everything the parser accepts.
+  full: Object.keys(SYNTAX_FEATURES)
+};
+
+/**
+ * Returns the allowed syntax features for a profile with per-feature
+ * switches applied.
+ * @param {string} [profile] name in SYNTAX_PROFILES
+ * @param {Object<string, boolean>} [features] feature switches
+ * @returns {Set<string>}
+ */
+export function resolveSyntax(profile = 'full', features = {}) {
+  if (!SYNTAX_PROFILES.hasOwnProperty(profile)) {
+    throw new TypeError(`unknown syntax profile '${profile}'`);
+  }
+
+  const allowed = new Set(SYNTAX_PROFILES[profile]);
+  for (const [name, enabled] of Object.entries(features)) {
+    if (!SYNTAX_FEATURES.hasOwnProperty(name)) {
+      throw new TypeError(`unknown syntax feature '${name}'`);
+    }
+    if (enabled) {
+      allowed.add(name);
+    } else {
+      allowed.delete(name);
+    }
+  }
+  return allowed;
+}
+
+/**
+ * Throw a compile error at the first use of a syntax feature that
+ * isn't allowed.
+ * @param {any} program Babel path of the Program node
+ * @param {Set<string>} allowed
+ */
+export function checkSyntax(program, allowed) {
+  if (Object.keys(SYNTAX_FEATURES).every(name => allowed.has(name))) return;
+  program.traverse({
+    enter(path) {
+      const name = featuresOf(path.node).find(name => !allowed.has(name));
+      if (name) {
+        const error = compileError(path, `syntax feature '${name}' is not allowed`);
+        error.feature = name;
+        throw error;
+      }
+    }
+  });
+}
+
+/**
+ * Create an error for a node, with a code frame in the message and a
+ * `loc` property with the position, like a parser error.
+ * @param {any} path Babel path
+ * @param {string} message
+ * @returns {SyntaxError & {loc: {line: number, column: number}, feature?: string}}
+ */
+export function compileError(path, message) {
+  const error = path.buildCodeFrameError(message);
+  const { line, column } = path.node.loc.start;
+  error.loc = { line, column };
+  return error;
+}
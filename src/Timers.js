@@ -0,0 +1,88 @@
+/**
+ * @typedef TimerOwner
+ * @property {boolean} settled true once the run() Promise has settled
+ * @property {() => void} close releases the run's host resources
+ */
+
+/**
+ * Pending host timers for a single run. Callers check script arguments
+ * and limits; this class tracks each timer until it fires or is
+ * cancelled, and closes a settled run when the last one is gone.
+ */
+export class Timers {
+  /** @type {Map<number, {handle: any, repeat: boolean}>} */
+  _pending = new Map();
+  _nextId = 1;
+
+  /**
+   * @param {TimerOwner} owner 
+   */
+  constructor(owner) {
+    this._owner = owner;
+  }
+
+  get size() {
+    return this._pending.size;
+  }
+
+  /**
+   * @param {boolean} repeat 
+   * @param {() => any} callback 
+   * @param {number} delay milliseconds
+   * @param {(e: any) => void} onError called with callback failures
+   * @returns {number} timer id
+   */
+  add(repeat, callback, delay, onError) {
+    const id = this._nextId++;
+    const fire = () => {
+      if (!repeat) this._pending.delete(id);
+      try {
+        const result = callback();
+        if (result instanceof Promise) {
+          result.catch(onError);
+        }
+      } catch (e) {
+        onError(e);
+      }
+      this._release();
+    };
+
+    const handle = repeat ? setInterval(fire, delay) : setTimeout(fire, delay);
+    this._pending.set(id, { handle, repeat });
+    return id;
+  }
+
+  /**
+   * Cancel a timer on behalf of the script.
+   * @param {number} id 
+   */
+  cancel(id) {
+    this.clear(id);
+    this._release();
+  }
+
+  /**
+   * @param {number} id 
+   */
+  clear(id) {
+    const timer = this._pending.get(id);
+    if (timer) {
+      this._pending.delete(id);
+      if (timer.repeat) {
+        clearInterval(timer.handle);
+      } else {
+        clearTimeout(timer.handle);
+      }
+    }
+  }
+
+  clearAll() {
+    for (const id of this._pending.keys()) {
+      this.clear(id);
+    }
+  }
+
+  _release() {
+    if (this._owner.settled && !this._pending.size) this._owner.close();
+  }
+}
@@ -4,6 +4,14 @@ import {
   DEFAULT_GLOBAL_FUNCTIONS,
   DEFAULT_GLOBAL_OBJECTS
 } from './constants.js';
+import { DEFAULT_POLICY, resolvePolicy } from './Policy.js';
+import { collectUsage, createManifest, validateManifest } from './Manifest.js';
+import { SYNTAX_FEATURES, checkSyntax, compileError, resolveSyntax } from './Syntax.js';
+
+/** @typedef {import('./Policy.js').Policy} Policy */
+/** @typedef {import('./Manifest.js').Manifest} Manifest */
+/** @typedef {import('./Manifest.js').Problem} Problem */
+/** @typedef {import('./Manifest.js').Usage} Usage */
 
 const DEFAULT_GLOBALS = [
   DEFAULT_GLOBAL_CLASSES,
@@ -11,6 +19,12 @@ const DEFAULT_GLOBALS = [
   DEFAULT_GLOBAL_OBJECTS
 ].flat();
 
+// Header comment lines declare what a script needs, e.g.
+// `// @requires fetchJson, storage`.
+const HEADER_LINE = /^\s*(\/\/.*)?$/;
+const DECLARATION = /^\s*\/\/\s*@(requires|globals)\b(.*)$/;
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
 const NO_WRAP_NEEDED = new Set([
   // These types cannot be wrapped with a Proxy. This is only an
   // optimization as the wrapper checks for this.
@@ -37,6 +51,15 @@ const NO_WRAP_NEEDED = new Set([
   'Super'
 ]);
 
+// Operands of these types can't add to the size of a string.
+const NO_ALLOC_NEEDED = new Set([
+  'BigIntLiteral',
+  'BooleanLiteral',
+  'DecimalLiteral',
+  'NullLiteral',
+  'NumericLiteral'
+]);
+
 let Babel;
 
 function plugin({ types, template }, options) {
@@ -45,7 +68,10 @@ function plugin({ types, template }, options) {
     wrap: '_w' + createRandomString(),
     call: '_c' + createRandomString(),
     func: '_f' + createRandomString(),
-    klass: '_k' + createRandomString()
+    klass: '_k' + createRandomString(),
+    step: '_s' + createRandomString(),
+    resume: '_r' + createRandomString(),
+    alloc: '_a' + createRandomString()
   }, options.bindings);
  
   // All global objects are wrapped by a Proxy to prevent mutation.
@@ -85,6 +111,22 @@ function plugin({ types, template }, options) {
     placeholderPattern: /^(CLASS)$/
   });
 
+  // Loop iterations and function entries call a step counter so the
+  // runtime can bound execution.
+  const checkpoint = template.statement(`${bindings.step}();`, {
+    placeholderPattern: false
+  });
+
+  // Resuming from await also checks whether the run was cancelled.
+  const resume = template.expression(`${bindings.resume}(AWAIT)`, {
+    placeholderPattern: /^AWAIT$/
+  });
+
+  // Literals and string concatenation are metered for allocation.
+  const alloc = template.expression(`${bindings.alloc}(VALUE)`, {
+    placeholderPattern: /^VALUE$/
+  });
+
   // Wrap the entire script in an Immediately Invoked Function Expression
   // to enable await and establish the wrapping function alias.
   const iife = template.statements(`
@@ -100,12 +142,39 @@ function plugin({ types, template }, options) {
   });
 
   const checkedForWrap = Symbol('checkedForWrap');
+  const checkpointed = Symbol('checkpointed');
+  const metered = Symbol('metered');
+  const boxed = Symbol('boxed');
+  const topLevel = Symbol('topLevel');
   return {
     visitor: {
       Program(path) {
+        // Check and record what the script uses before it is
+        // transformed.
+        checkSyntax(path, options.syntax);
+        collectUsage(path, options.usage);
+
         path.node.body = iife({
           BODY: path.node.body
         });
+
+        // Mark the IIFE to find top-level return statements.
+        const statement = path.node.body[path.node.body.length - 1];
+        if (types.isReturnStatement(statement) && types.isCallExpression(statement.argument)) {
+          statement.argument.callee[topLevel] = true;
+        }
+      },
+
+      // Box the value of a top-level return so that the script Promise
+      // never resolves to a thenable, which would run script code when
+      // the Runtime awaits it.
+      ReturnStatement(path) {
+        if (!path.node.loc || path.node[boxed]) return;
+        path.node[boxed] = true;
+        if (!path.getFunctionParent()?.node[topLevel]) return;
+
+        const argument = path.node.argument;
+        path.node.argument = types.arrayExpression(argument ? [argument] : []);
       },
 
       // Check anything that could evaluate to an object or function.
@@ -153,15 +222,123 @@ function plugin({ types, template }, options) {
         
         // Handle external references. Any externals that are not whitelisted
         // globals must be supplied at runtime.
-        if (path.isIdentifier() &&
-            !path.scope.hasBinding(path.node.name, true) &&
-            !options.globals.has(path.node.name)) {
-          options.externals.add(path.node.name);
+        if (path.isIdentifier() && !path.scope.hasBinding(path.node.name, true)) {
+          const name = path.node.name;
+          const isGlobal = options.globals.has(name);
+
+          // With requireDeclarations, every name must be declared in the
+          // header, except default globals.
+          const { declarations } = options;
+          const isUndeclared = options.requireDeclarations && (isGlobal ?
+            !declarations.globals.has(name) && !DEFAULT_GLOBALS.includes(name) :
+            !declarations.requires.has(name));
+          const isUnknown = !isGlobal && options.knownExternals && !options.knownExternals.has(name);
+          if ((isUndeclared || isUnknown) && path.parentPath.isUnaryExpression({ operator: 'typeof' })) {
+            // Allow feature checks like `typeof x === 'undefined'`. The
+            // operand is replaced so the host scope isn't consulted.
+            path.replaceWith(types.unaryExpression('void', types.numericLiteral(0)));
+            return;
+          }
+          if (isUndeclared) {
+            throw compileError(path, isGlobal ?
+              `global '${name}' is not declared` :
+              `'${name}' is not declared`);
+          }
+
+          if (isGlobal) {
+            options.referenced.add(name);
+          } else if (isUnknown) {
+            const suggestions = suggestNames(name, [...options.globals, ...options.knownExternals]);
+            const { line, column } = path.node.loc.start;
+            options.diagnostics.push({
+              name,
+              message: `unknown name '${name}'` +
+                (suggestions.length ? `, did you mean '${suggestions[0]}'?` : ''),
+              location: { line, column },
+              suggestions
+            });
+          } else {
+            options.externals.add(name);
+          }
         }
 
         path.replaceWith(wrap({ NODE: path.node }));
       },
 
+      // Count function entries. The body is checked instead of the
+      // function itself because some visitors below replace the function
+      // node but keep its body.
+      Function(path) {
+        const body = path.node.body;
+        if (!body.loc || body[checkpointed]) return;
+        body[checkpointed] = true;
+
+        if (types.isBlockStatement(body)) {
+          body.body.unshift(checkpoint());
+        } else {
+          // Convert arrow function expression body to a block.
+          path.node.body = types.blockStatement([
+            checkpoint(),
+            types.returnStatement(body)
+          ]);
+          path.node.expression = false;
+        }
+      },
+
+      // Count loop iterations.
+      Loop(path) {
+        if (!path.node.loc || path.node[checkpointed]) return;
+        path.node[checkpointed] = true;
+
+        const body = path.node.body;
+        if (types.isBlockStatement(body)) {
+          body.body.unshift(checkpoint());
+        } else {
+          path.node.body = types.blockStatement([checkpoint(), body]);
+        }
+      },
+
+      // A rejected await resumes in a catch or finally block.
+      BlockStatement(path) {
+        if (!path.node.loc || path.node[checkpointed]) return;
+        if (path.parentPath.isCatchClause() ||
+            path.parentPath.isTryStatement({ finalizer: path.node })) {
+          path.node[checkpointed] = true;
+          path.node.body.unshift(checkpoint());
+        }
+      },
+
+      AwaitExpression(path) {
+        if (!path.node.loc || path.node[checkpointed]) return;
+        path.node[checkpointed] = true;
+        path.replaceWith(resume({ AWAIT: path.node }));
+      },
+
+      // Meter literals that allocate.
+      'ArrayExpression|ObjectExpression|TemplateLiteral'(path) {
+        if (!path.node.loc || path.node[metered]) return;
+        if (path.parentPath.isTaggedTemplateExpression()) return;
+        path.node[metered] = true;
+        path.replaceWith(alloc({ VALUE: path.node }));
+      },
+
+      // Meter string concatenation by the size of the right operand.
+      BinaryExpression(path) {
+        if (!path.node.loc || path.node[metered]) return;
+        path.node[metered] = true;
+        if (path.node.operator === '+' && !NO_ALLOC_NEEDED.has(path.node.right.type)) {
+          path.node.right = alloc({ VALUE: path.node.right });
+        }
+      },
+
+      AssignmentExpression(path) {
+        if (!path.node.loc || path.node[metered]) return;
+        path.node[metered] = true;
+        if (path.node.operator === '+=' && !NO_ALLOC_NEEDED.has(path.node.right.type)) {
+          path.node.right = alloc({ VALUE: path.node.right });
+        }
+      },
+
       // Register user functions.
       FunctionDeclaration(path) {
         if (!path.node.loc) return;
@@ -227,34 +404,222 @@ export class Transpiler {
   globals = new Set(DEFAULT_GLOBALS);
   externals = new Set();
 
+  /** @type {Set<string>} allowed syntax features */
+  syntax = new Set(Object.keys(SYNTAX_FEATURES));
+
+  /** @type {boolean} fail on names not declared in the script header */
+  requireDeclarations = false;
+
+  /** declarations in the header of the last transpile() */
+  declarations = {
+    /** @type {Set<string>} */ requires: new Set(),
+    /** @type {Set<string>} */ globals: new Set()
+  };
+
+  /** @type {Set<string>?} externals the host provides, if known */
+  knownExternals = null;
+
+  /** @type {Array<Diagnostic>} unknown names in the last transpile() */
+  diagnostics = [];
+
+  /** @type {Set<string>} globals referenced by the last transpile() */
+  referenced = new Set();
+
+  /** @type {Usage} static uses by the last transpile() */
+  usage = {
+    calls: new Set(),
+    constructs: new Set(),
+    features: new Set(),
+    dynamic: new Set()
+  };
+
   /**
-   * @param {{ bindings?: object }} [options] 
+   * @param {TranspilerOptions} [options] 
    */
   constructor(options = {}) {
+    if (options.policy) {
+      this.globals = resolvePolicy(options.policy).globals;
+    }
+    if (options.profile || options.features) {
+      this.syntax = resolveSyntax(options.profile, options.features);
+    }
+    this.requireDeclarations = options.requireDeclarations ?? false;
+    if (options.knownExternals) {
+      this.knownExternals = new Set(options.knownExternals);
+    }
+
     options = Object.assign({
       globals: this.globals,
-      externals: this.externals
-    }, options)
+      syntax: this.syntax,
+      externals: this.externals,
+      referenced: this.referenced,
+      usage: this.usage,
+      declarations: this.declarations,
+      diagnostics: this.diagnostics
+    }, options, { knownExternals: this.knownExternals })
     // @ts-ignore
     this.babelOptions.plugins.push(['proxy-script', options]);
   }
 
   /**
+   * The result has the transpiled `code` and its source `map`, the
+   * `externals` the host must provide, the `globals` referenced, a
+   * `manifest` of what the script uses, and the `declarations` in its
+   * header (null if it has none and declarations aren't required).
+   *
+   * If the Transpiler was given `knownExternals`, a free name that is
+   * neither a global nor a known external is a SyntaxError, with the
+   * `diagnostics` for all such names.
    * @param {string} source 
    * @returns {object}
    */
   transpile(source) {
+    this.externals.clear();
+    this.referenced.clear();
+    this.diagnostics.length = 0;
+    Object.values(this.usage).forEach(set => set.clear());
+    const declarations = this._parseHeader(source);
+
     const result = this.babel.transform(source, this.babelOptions);
+    if (this.diagnostics.length) {
+      const [{ message, location }] = this.diagnostics;
+      const error = new SyntaxError(`${message} (${location.line}:${location.column})`);
+      // @ts-ignore
+      error.loc = location;
+      // @ts-ignore
+      error.diagnostics = [...this.diagnostics];
+      throw error;
+    }
+
     result.externals = new Set(this.externals.keys());
+    result.globals = new Set(this.referenced);
+    result.manifest = createManifest(result.globals, result.externals, this.usage);
+    result.declarations = declarations || this.requireDeclarations ? {
+      requires: [...this.declarations.requires],
+      globals: [...this.declarations.globals]
+    } : null;
     return result;
   }
+
+  /**
+   * Read the declarations in the comment lines that begin a script.
+   * @param {string} source 
+   * @returns {boolean} true if there are any declarations
+   */
+  _parseHeader(source) {
+    const { requires, globals } = this.declarations;
+    requires.clear();
+    globals.clear();
+
+    let found = false;
+    const lines = source.split('\n');
+    for (let i = 0; i < lines.length && HEADER_LINE.test(lines[i]); ++i) {
+      const match = lines[i].match(DECLARATION);
+      if (!match) continue;
+
+      found = true;
+      const names = match[2].split(',').map(name => name.trim()).filter(name => name);
+      for (const name of names) {
+        if (!IDENTIFIER.test(name)) {
+          throw headerError(`invalid name '${name}' in @${match[1]}`, i);
+        }
+        if (match[1] === 'globals' && this.requireDeclarations && !this.globals.has(name)) {
+          throw headerError(`declared global '${name}' is not available`, i);
+        }
+        (match[1] === 'requires' ? requires : globals).add(name);
+      }
+    }
+    return found;
+  }
 };
 
+/**
+ * Check a script manifest against a policy, e.g. to reject a script
+ * before running it.
+ * @param {Manifest} manifest 
+ * @param {Policy} [policy] 
+ * @returns {Array<Problem>} empty if the policy permits the script
+ */
+Transpiler.validate = function(manifest, policy = DEFAULT_POLICY) {
+  return validateManifest(manifest, policy);
+}
+
+/**
+ * @typedef TranspilerOptions
+ * @property {object} [bindings] support function names
+ * @property {Policy} [policy] replaces the default globals
+ * @property {string} [profile] syntax profile, 'expression', 'basic',
+ * or 'full' (the default)
+ * @property {Object<string, boolean>} [features] syntax feature
+ * switches applied to the profile
+ * @property {boolean} [requireDeclarations] fail on externals, and
+ * globals besides the defaults, not declared in the script header
+ * @property {Iterable<string>} [knownExternals] names the host will
+ * provide; other free names that aren't globals are errors
+ *
+ * @typedef Diagnostic
+ * @property {string} name
+ * @property {string} message
+ * @property {{line: number, column: number}} location
+ * @property {Array<string>} suggestions similar globals and known
+ * externals, most similar first
+ */
+
 Transpiler.register = function(babel) {
   Babel = babel;
   babel.registerPlugin('proxy-script', plugin);
 }
 
+/**
+ * @param {string} message 
+ * @param {number} index header line index
+ */
+function headerError(message, index) {
+  const error = new SyntaxError(`${message} (${index + 1}:0)`);
+  // @ts-ignore
+  error.loc = { line: index + 1, column: 0 };
+  return error;
+}
+
+/**
+ * Returns the candidates within a small edit distance of a name,
+ * closest first.
+ * @param {string} name 
+ * @param {Array<string>} candidates 
+ * @returns {Array<string>}
+ */
+function suggestNames(name, candidates) {
+  const limit = Math.max(1, Math.floor(name.length / 3));
+  return [...new Set(candidates)]
+    .map(candidate => ({ candidate, distance: editDistance(name, candidate) }))
+    .filter(({ distance }) => distance <= limit)
+    .sort((a, b) => a.distance - b.distance || (a.candidate < b.candidate ? -1 : 1))
+    .slice(0, 3)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Levenshtein distance, ignoring case differences.
+ * @param {string} a 
+ * @param {string} b 
+ */
+function editDistance(a, b) {
+  a = a.toLowerCase();
+  b = b.toLowerCase();
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; ++i) {
+    const next = [i];
+    for (let j = 1; j <= b.length; ++j) {
+      next[j] = Math.min(
+        row[j] + 1,
+        next[j - 1] + 1,
+        row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
 function createRandomString() {
   return Math.floor(Math.random() * Number.MAX_SAFE_INTEGER).toString(36);
 }
@@ -2,5 +2,6 @@
 
 import { Transpiler } from './Transpiler.js';
 import { Runtime } from './Runtime.js';
+import { DEFAULT_POLICY } from './Policy.js';
 
-export { Transpiler, Runtime };
\ No newline at end of file
+export { Transpiler, Runtime, DEFAULT_POLICY };
\ No newline at end of file
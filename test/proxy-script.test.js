@@ -1,7 +1,7 @@
 // Copyright 2021 Roy T. Hashimoto. All rights reserved.
 
 import * as Babel from '@babel/standalone';
-import { Transpiler, Runtime } from '../src/index';
+import { Transpiler, Runtime, DEFAULT_POLICY } from '../src/index';
 
 globalThis.Babel = Babel;
 Transpiler.register(Babel);
@@ -20,6 +20,9 @@ describe('proxy-test', () => {
         call: 'myCall',
         func: 'myFunc',
         klass: 'myKlass',
+        step: 'myStep',
+        resume: 'myResume',
+        alloc: 'myAlloc',
         external: 'myExternal'
       }
     });
@@ -28,6 +31,9 @@ describe('proxy-test', () => {
     expect(transpiled.code).toMatch(/myCall/);
     expect(transpiled.code).toMatch(/myFunc/);
     expect(transpiled.code).toMatch(/myKlass/);
+    expect(transpiled.code).toMatch(/myStep/);
+    expect(transpiled.code).toMatch(/myResume/);
+    expect(transpiled.code).toMatch(/myAlloc/);
     expect(transpiled.code).toMatch(/myExternal/);
     expect(transpiled.code).toMatchSnapshot();
   });
@@ -573,4 +579,1646 @@ describe('proxy-test', () => {
     const result = runtime.run(transpiled, { myExternal: Runtime.fn(multiply) });
     await expect(result).resolves.toBe(42);
   });
+
+  test('step budget stops infinite loop', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      while (true) {}
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, { maxSteps: 1000 });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.StepLimitError);
+  });
+
+  test('step budget allows script within limit', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      let sum = 0;
+      for (let i = 0; i < 10; ++i) sum += i;
+      return sum;
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, { maxSteps: 100 });
+    await expect(result).resolves.toBe(45);
+  });
+
+  test('step budget counts after await and in lambdas', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      await Promise.resolve();
+      return [1, 2, 3].map(x => {
+        do {} while (true);
+      });
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, { maxSteps: 1000 });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.StepLimitError);
+  });
+
+  test('step budget counts in class methods and recursion', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      class Foo {
+        get bar() { return this.bar; }
+      }
+      return new Foo().bar;
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, { maxSteps: 100 });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.StepLimitError);
+  });
+
+  test('step budget cannot be caught by script', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      try {
+        for (;;) {}
+      } catch (e) {
+      }
+      return 'escaped';
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, { maxSteps: 1000 });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.StepLimitError);
+  });
+
+  test('timeout rejects never-settling script', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      await new Promise(() => {});
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, { timeout: 50 });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.TimeoutError);
+  });
+
+  test('abort signal cancels run at checkpoint', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      abort();
+      for (;;) {}
+    `);
+    const controller = new AbortController();
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {
+      abort: Runtime.fn(() => controller.abort())
+    }, { signal: controller.signal });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.AbortError);
+  });
+
+  test('abort signal is observed after await', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      await Promise.resolve();
+      log('after await');
+    `);
+    const controller = new AbortController();
+    const log = [];
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {
+      log: Runtime.fn(message => log.push(message))
+    }, { signal: controller.signal });
+    controller.abort();
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.AbortError);
+    expect(log).toEqual([]);
+  });
+
+  test('aborted run refuses lambda calls', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      save(() => 42);
+      await new Promise(() => {});
+    `);
+    const controller = new AbortController();
+    let saved;
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {
+      save: Runtime.fn(f => saved = f)
+    }, { signal: controller.signal });
+    controller.abort();
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.AbortError);
+    expect(() => saved()).toThrow(Runtime.AbortError);
+  });
+
+  test('recursive functions can call themselves by name', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      function factorial(n) {
+        return n > 1 ? n * factorial(n - 1) : 1;
+      }
+      class Node {
+        constructor(depth) {
+          this.child = depth ? new Node(depth - 1) : null;
+        }
+      }
+      return [factorial(5), new Node(2).child.child.child];
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled);
+    await expect(result).resolves.toEqual([120, null]);
+  });
+
+  test('call depth limit stops unbounded recursion', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      function recurse() {
+        return recurse();
+      }
+      return recurse();
+    `);
+    const runtime = new Runtime();
+    const result = await runtime.run(transpiled).catch(e => e);
+    expect(result).toBeInstanceOf(Runtime.CallDepthError);
+    expect(result.message).toMatch(/max call depth exceeded/);
+    expect(result.location).toEqual(expect.objectContaining({ line: 3 }));
+  });
+
+  test('call depth limit is configurable', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      const depth = n => n ? depth(n - 1) + 1 : 0;
+      return depth(20);
+    `);
+    const runtime = new Runtime();
+    await expect(runtime.run(transpiled)).resolves.toBe(20);
+
+    const result = runtime.run(transpiled, {}, { maxCallDepth: 10 });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.CallDepthError);
+  });
+
+  test('memory quota stops growing literals', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      const list = [];
+      while (true) {
+        list.push({ value: [1, 2, 3] });
+      }
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, { maxMemory: 100000 });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.MemoryLimitError);
+  });
+
+  test('memory quota stops string concatenation', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      let s = 'x';
+      while (true) {
+        s += \`\${s}\`;
+      }
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, { maxMemory: 100000 });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.MemoryLimitError);
+  });
+
+  test('memory quota is checked before allocating calls', async () => {
+    const sources = [
+      `'abc'.repeat(1e8)`,
+      `''.padStart(1e8)`,
+      `new Array(1e8)`,
+      `new ArrayBuffer(1e8)`,
+      `new Float64Array(1e8)`,
+      `[1, 2, 3].join('x'.repeat(1e4))`
+    ];
+    for (const source of sources) {
+      const transpiler = new Transpiler();
+      const transpiled = transpiler.transpile(source);
+      const runtime = new Runtime();
+      const result = runtime.run(transpiled, {}, { maxMemory: 10000 });
+      await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.MemoryLimitError);
+    }
+  });
+
+  test('memory quota allows script within limit', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      let s = '';
+      for (let i = 0; i < 10; ++i) s += i;
+      return [s, 'ab'.repeat(2), { s }];
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, { maxMemory: 1000 });
+    await expect(result).resolves.toEqual(['0123456789', 'abab', { s: '0123456789' }]);
+  });
+
+  test('timers run registered callbacks', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      return new Promise(resolve => {
+        let count = 0;
+        const id = setInterval(() => {
+          if (++count === 3) {
+            clearInterval(id);
+            setTimeout(resolve, 0, count);
+          }
+        }, 0);
+      });
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, { timers: true });
+    await expect(result).resolves.toBe(3);
+  });
+
+  test('timers are not provided by default', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      setTimeout(() => {}, 0);
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled);
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.Error);
+  });
+
+  test('timers reject string callbacks', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      setTimeout('globalThis', 0);
+    `);
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, { timers: true });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.Error);
+  });
+
+  test('timers enforce maximum count', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      for (let i = 0; i < 3; ++i) {
+        setTimeout(() => {}, 1000);
+      }
+    `);
+    const controller = new AbortController();
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {}, {
+      timers: { maxCount: 2 },
+      signal: controller.signal
+    });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.TimerLimitError);
+    controller.abort();
+  });
+
+  test('timers are cancelled when run is aborted', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      setTimeout(() => log('timeout'), 20);
+      setInterval(() => log('interval'), 20);
+      return 'done';
+    `);
+    const controller = new AbortController();
+    const log = [];
+    const runtime = new Runtime();
+    const result = runtime.run(transpiled, {
+      log: Runtime.fn(message => log.push(message))
+    }, {
+      timers: true,
+      signal: controller.signal
+    });
+    await expect(result).resolves.toBe('done');
+
+    controller.abort();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(log).toEqual([]);
+  });
+
+  test('dispose rejects pending run', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      await new Promise(() => {});
+    `);
+    const runtime = new Runtime();
+    const handle = runtime.start(transpiled);
+    handle.dispose();
+    await expect(handle.result.catch(e => e)).resolves.toBeInstanceOf(Runtime.DisposedError);
+  });
+
+  test('dispose makes script functions throw', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      class Counter {
+        constructor() { this.count = 0; }
+        increment() { return ++this.count; }
+      }
+      return { f: () => 42, counter: new Counter() };
+    `);
+    const runtime = new Runtime();
+    const handle = runtime.start(transpiled);
+    const { f, counter } = await handle.result;
+    expect(f()).toBe(42);
+    expect(counter.increment()).toBe(1);
+
+    handle.dispose();
+    expect(() => f()).toThrow(Runtime.DisposedError);
+    expect(() => counter.increment()).toThrow(Runtime.DisposedError);
+  });
+
+  test('dispose revokes proxies', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      return Math;
+    `);
+    const runtime = new Runtime();
+    const handle = runtime.start(transpiled);
+    const math = await handle.result;
+    expect(math.PI).toBe(Math.PI);
+
+    handle.dispose();
+    expect(() => math.PI).toThrow(TypeError);
+    expect(Math.PI).toBeDefined();
+  });
+
+  test('dispose cancels timers', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      setInterval(() => log('interval'), 10);
+    `);
+    const log = [];
+    const runtime = new Runtime();
+    const handle = runtime.start(transpiled, {
+      log: Runtime.fn(message => log.push(message))
+    }, { timers: true });
+    await handle.result;
+    handle.dispose();
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(log).toEqual([]);
+  });
+
+  test('policy configures transpiler and runtime', async () => {
+    const policy = JSON.parse(JSON.stringify({
+      allow: ['Math.*', 'Array', 'Array.prototype.*', '!Array.prototype.sort']
+    }));
+
+    const transpiler = new Transpiler({ policy });
+    expect(transpiler.globals).toEqual(new Set(['Math', 'Array']));
+
+    const runtime = new Runtime({ policy });
+    expect(runtime.whitelist.has(Math.pow)).toBe(true);
+    expect(runtime.whitelist.has(Array.prototype.map)).toBe(true);
+    expect(runtime.whitelist.has(Array.prototype.sort)).toBe(false);
+    expect(runtime.whitelist.has(JSON.parse)).toBe(false);
+
+    const allowed = transpiler.transpile(`
+      return [1, 2, 3].map(x => Math.pow(x, 2));
+    `);
+    await expect(runtime.run(allowed)).resolves.toEqual([1, 4, 9]);
+
+    const denied = transpiler.transpile(`
+      return [3, 2, 1].sort();
+    `);
+    await expect(runtime.run(denied).catch(e => e)).resolves.toBeInstanceOf(Runtime.Error);
+  });
+
+  test('policy includes accessors', async () => {
+    const runtime = new Runtime({ policy: { allow: ['Map.prototype.size'] } });
+    const { get } = Object.getOwnPropertyDescriptor(Map.prototype, 'size');
+    expect([...runtime.whitelist]).toEqual([get]);
+  });
+
+  test('policy rejects paths that do not exist', async () => {
+    expect(() => new Runtime({ policy: { allow: ['Math.nothing'] } })).toThrow(/Math.nothing/);
+    expect(() => new Transpiler({ policy: { allow: ['Nothing.*'] } })).toThrow(/Nothing/);
+    expect(() => new Runtime({ policy: { allow: ['!Array.prototype.nothing'] } })).toThrow();
+  });
+
+  test('default policy matches default configuration', async () => {
+    const runtime = new Runtime({ policy: DEFAULT_POLICY });
+    const defaultFunctions = [...new Runtime().whitelist].filter(f => typeof f === 'function');
+    expect(runtime.whitelist.size).toBe(new Set(defaultFunctions).size);
+    expect(defaultFunctions.every(f => runtime.whitelist.has(f))).toBe(true);
+  });
+
+  test('guard checks arguments of whitelisted constructor', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      return new RegExp(pattern).test('aaa');
+    `);
+    const runtime = new Runtime();
+    runtime.guard(RegExp, {
+      check: ([pattern]) => typeof pattern === 'string' && pattern.length <= 8
+    });
+
+    await expect(runtime.run(transpiled, { pattern: 'a+' })).resolves.toBe(true);
+    const result = runtime.run(transpiled, { pattern: '(a+)+(a+)+b' });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.GuardError);
+  });
+
+  test('guard checks arguments of external', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      sendEmail('friend@example.com', 'hello');
+      sendEmail('stranger@example.org', 'hello');
+    `);
+    const sent = [];
+    const sendEmail = Runtime.fn(address => sent.push(address));
+    const runtime = new Runtime();
+    runtime.guard(sendEmail, {
+      check: ([address]) => /@example\.com$/.test(address)
+    });
+
+    const result = runtime.run(transpiled, { sendEmail });
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.GuardError);
+    expect(sent).toEqual(['friend@example.com']);
+  });
+
+  test('guard leaves properties of guarded function writable', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      counter.count++;
+      counter.tag = 'x';
+      counter();
+      return [counter.count, counter.tag];
+    `);
+    const counter = Object.assign(Runtime.fn(() => {}), { count: 0 });
+    const runtime = new Runtime();
+    runtime.guard(counter, { maxCalls: 1 });
+
+    await expect(runtime.run(transpiled, { counter })).resolves.toEqual([1, 'x']);
+  });
+
+  test('guard limits calls per run', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      const f = Math.random.bind(null);
+      return [Math.random(), f()].length;
+    `);
+    const runtime = new Runtime({
+      policy: { allow: ['Math', { path: 'Math.random', maxCalls: 1 }, 'Function.prototype.bind'] }
+    });
+    const result = runtime.run(transpiled);
+    await expect(result.catch(e => e)).resolves.toBeInstanceOf(Runtime.GuardError);
+
+    runtime.guards.set(Math.random, { maxCalls: 2 });
+    await expect(runtime.run(transpiled)).resolves.toBe(2);
+    await expect(runtime.run(transpiled)).resolves.toBe(2);
+  });
+
+  test('audit events report calls with names and locations', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      const x = Math.max(1, 'two', [3]);
+      notify(x, Math.pow);
+      return new Map().size;
+    `);
+    const events = [];
+    const runtime = new Runtime({ onEvent: event => events.push(event) });
+    const notify = Runtime.fn(() => {});
+    await expect(runtime.run(transpiled, { notify })).resolves.toBe(0);
+
+    const calls = events.filter(event => event.type !== 'proxy');
+    expect(calls).toEqual([
+      {
+        type: 'call',
+        name: 'Math.max',
+        args: ['1', '"two"', '[array(1)]'],
+        location: expect.objectContaining({ line: 2 })
+      },
+      {
+        type: 'call',
+        name: 'notify',
+        args: ['NaN', '[function Math.pow]'],
+        location: expect.objectContaining({ line: 3 })
+      },
+      {
+        type: 'construct',
+        name: 'Map',
+        args: [],
+        location: expect.objectContaining({ line: 4 })
+      }
+    ]);
+    expect(events.map(event => event.name)).toContain('Math');
+  });
+
+  test('audit events report calls to methods of externals', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      channel.send('a');
+      const { log } = channel.logger;
+      log(1);
+    `);
+    class Channel {
+      constructor() {
+        this.logger = { log: Runtime.fn(() => {}) };
+      }
+      send() {}
+    }
+    const events = [];
+    const runtime = new Runtime({ onEvent: event => events.push(event) });
+    runtime.whitelist.add(Channel.prototype.send);
+    await runtime.run(transpiled, { channel: new Channel() });
+
+    const calls = events.filter(event => event.type === 'call');
+    expect(calls).toEqual([
+      { type: 'call', name: 'channel.send', args: ['"a"'], location: expect.objectContaining({ line: 2 }) },
+      { type: 'call', name: 'channel.logger.log', args: ['1'], location: expect.objectContaining({ line: 4 }) }
+    ]);
+  });
+
+  test('auditing leaves members of externals writable', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      api.state.n++;
+      api.tag = 'x';
+      api();
+      return [api.state.n, api.tag];
+    `);
+    const api = Object.assign(Runtime.fn(() => {}), { state: { n: 0 } });
+    const events = [];
+    const runtime = new Runtime({ onEvent: event => events.push(event) });
+    await expect(runtime.run(transpiled, { api })).resolves.toEqual([1, 'x']);
+
+    expect(events.filter(event => event.type === 'call')).toEqual([
+      expect.objectContaining({ name: 'api' })
+    ]);
+  });
+
+  test('audit events report violations', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      try {
+        Math.PI = 3;
+      } catch (e) {}
+      return (() => {}).constructor('return 1');
+    `);
+    const events = [];
+    const runtime = new Runtime({ onEvent: event => events.push(event) });
+    await expect(runtime.run(transpiled)).rejects.toThrow('blacklist violation');
+
+    const violations = events.filter(event => event.type === 'violation');
+    expect(violations).toEqual([
+      expect.objectContaining({ name: 'Math', message: 'set violation' }),
+      expect.objectContaining({ name: 'Function', message: 'blacklist violation' })
+    ]);
+  });
+
+  test('audit hook failures are hidden from the script', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      return Math.abs(-1);
+    `);
+    const runtime = new Runtime({
+      onEvent: () => { throw new Error('hook failure'); }
+    });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      await expect(runtime.run(transpiled)).resolves.toBe(1);
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  test('report-only mode reports violations and proceeds', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      const n = Math.abs(-1);
+      const o = { count: 0 };
+      Object.defineProperty(o, 'count', { value: n });
+      return o.count;
+    `);
+    const reports = [];
+    const runtime = new Runtime({
+      policy: { allow: ['Math', 'Object'] },
+      reportOnly: true,
+      onViolation: report => reports.push(report)
+    });
+    await expect(runtime.run(transpiled)).resolves.toBe(1);
+    expect(reports).toEqual([
+      expect.objectContaining({
+        error: expect.any(Runtime.Error),
+        name: 'Math.abs',
+        location: expect.objectContaining({ line: 2 })
+      }),
+      expect.objectContaining({ name: 'Object.defineProperty' })
+    ]);
+    expect(reports[0].error.message).toMatch(/^permission denied/);
+
+    // The same run fails when enforcing.
+    runtime.reportOnly = false;
+    await expect(runtime.run(transpiled)).rejects.toThrow('permission denied');
+  });
+
+  test('report-only mode still fails blacklist violations', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      return (() => {}).constructor('return 1');
+    `);
+    const reports = [];
+    const runtime = new Runtime({
+      reportOnly: true,
+      onViolation: report => reports.push(report)
+    });
+    await expect(runtime.run(transpiled)).rejects.toThrow('blacklist violation');
+    expect(reports).toEqual([]);
+  });
+
+  test('violation errors name the target and operation', async () => {
+    const transpiler = new Transpiler();
+    const runtime = new Runtime({ policy: { allow: ['Math', 'Array'] } });
+
+    const denied = await runtime.run(transpiler.transpile(`
+      const x = 2;
+      return Math.pow(x, 2);
+    `)).catch(e => e);
+    expect(denied).toBeInstanceOf(Runtime.Error);
+    expect(denied.target).toBe('Math.pow');
+    expect(denied.operation).toBe('access');
+    expect(denied.location).toEqual(expect.objectContaining({ line: 3 }));
+    expect(denied.message).toMatch(/^permission denied: Math\.pow at <proxy-script>:3:/);
+
+    const mutation = await runtime.run(transpiler.transpile(`
+      Array.prototype.push = null;
+    `)).catch(e => e);
+    expect(mutation.target).toBe('Array.prototype');
+    expect(mutation.operation).toBe('set');
+    expect(mutation.message).toMatch(/^set violation: Array\.prototype/);
+  });
+
+  test('guard errors name the operation', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      return new Map();
+    `);
+    const runtime = new Runtime();
+    runtime.guard(Map, { check: () => false });
+    const result = await runtime.run(transpiled).catch(e => e);
+    expect(result).toBeInstanceOf(Runtime.GuardError);
+    expect(result.target).toBe('Map');
+    expect(result.operation).toBe('construct');
+  });
+
+  test('transpiler reports referenced globals', () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      const x = Math.max(parseInt('1'), foo);
+      return JSON.stringify(x);
+    `);
+    expect([...transpiled.globals].sort()).toEqual(['JSON', 'Math', 'parseInt']);
+    expect(transpiler.transpile('1').globals.size).toBe(0);
+  });
+
+  test('learning mode generates a minimal policy', async () => {
+    const learner = new Runtime({ learning: true, policy: { allow: [] } });
+    const transpiled = new Transpiler().transpile(`
+      const words = 'a b c'.split(' ').map(s => s.toUpperCase());
+      const map = new Map(words.map(w => [w, w.length]));
+      return [Math.max(...map.values()), RegExp.prototype.source];
+    `);
+    await expect(learner.run(transpiled)).resolves.toEqual([1, '(?:)']);
+
+    const policy = learner.learnedPolicy();
+    expect(policy.allow).toEqual([
+      'Array.prototype.map',
+      'Map',
+      'Map.prototype.values',
+      'Math',
+      'Math.max',
+      'RegExp',
+      'RegExp.prototype.source',
+      'String.prototype.split',
+      'String.prototype.toUpperCase'
+    ]);
+
+    // The policy is sufficient to run the script...
+    const transpiler = new Transpiler({ policy });
+    const runtime = new Runtime({ policy });
+    await expect(runtime.run(transpiler.transpile(transpiled.map.sourcesContent[0])))
+      .resolves.toEqual([1, '(?:)']);
+
+    // ...but not more.
+    await expect(runtime.run(transpiler.transpile(`
+      return Math.min(1, 2);
+    `))).rejects.toThrow('permission denied');
+  });
+
+  test('read-only externals can\'t be mutated by the script', async () => {
+    const transpiler = new Transpiler();
+    const counter = {
+      count: 0,
+      inner: { value: 0 },
+      increment: Runtime.fn(function() { return ++this.count; })
+    };
+    const runtime = new Runtime();
+    const run = transpiled => runtime.run(transpiled, { counter }, { protection: 'readonly' });
+
+    const set = transpiler.transpile(`counter.count = 10;`);
+    await expect(run(set)).rejects.toThrow('set violation');
+    const remove = transpiler.transpile(`delete counter.count;`);
+    await expect(run(remove)).rejects.toThrow('deleteProperty violation');
+
+    // Host methods can still update their own object, and protection
+    // is shallow.
+    const transpiled = transpiler.transpile(`
+      counter.inner.value = 42;
+      return counter.increment();
+    `);
+    await expect(run(transpiled)).resolves.toBe(1);
+    expect(counter).toEqual(expect.objectContaining({ count: 1, inner: { value: 42 } }));
+  });
+
+  test('deep read-only externals protect everything reachable', async () => {
+    class Host {
+      constructor() {
+        this.config = { limits: [1, 2, 3] };
+      }
+    }
+    const host = new Host();
+    const transpiler = new Transpiler();
+    const runtime = new Runtime();
+    const attempts = [
+      `host.config.limits.push(4);`,
+      `host.config.limits[0] = 0;`,
+      `Object.getOwnPropertyDescriptor(host, 'config').value.extra = 1;`,
+      `Object.getPrototypeOf(host).constructor = null;`
+    ];
+    for (const attempt of attempts) {
+      const result = runtime.run(transpiler.transpile(attempt), { host }, {
+        protection: { host: 'deep' }
+      });
+      await expect(result).rejects.toThrow(/violation/);
+    }
+    expect(host.config).toEqual({ limits: [1, 2, 3] });
+    expect(Host.prototype.constructor).toBe(Host);
+
+    // Other externals stay writable.
+    const other = {};
+    const transpiled = transpiler.transpile(`other.x = host.config.limits[2];`);
+    await runtime.run(transpiled, { host, other }, { protection: { host: 'deep' } });
+    expect(other.x).toBe(3);
+  });
+
+  test('invalid protection is rejected', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`return ext;`);
+    const runtime = new Runtime();
+    const listeners = new Set();
+    const signal = {
+      aborted: false,
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+    const options = /** @type {any} */ ({ protection: 'frozen', signal, timeout: 1000 });
+    const result = runtime.run(transpiled, { ext: {} }, options);
+    await expect(result).rejects.toThrow(TypeError);
+
+    // The run still releases its abort listener and timeout.
+    expect(listeners.size).toBe(0);
+  });
+
+  test('exposed host objects check arguments and results', async () => {
+    class Store {
+      constructor() {
+        this.name = 'store';
+        this.items = new Map();
+        this.secret = 'hidden';
+      }
+      put(key, value) { this.items.set(key, value); }
+      get(key) { return this.items.get(key); }
+      async size() { return this.items.size; }
+      clear() { this.items.clear(); }
+    }
+    const store = new Store();
+    const api = Runtime.expose(store, {
+      methods: {
+        put: { args: [{ type: 'string', maxLength: 8 }, 'number'] },
+        get: { args: ['string'], returns: { type: 'number', optional: true } },
+        size: { returns: 'integer' }
+      },
+      properties: { name: 'string' }
+    });
+
+    const transpiler = new Transpiler();
+    const runtime = new Runtime();
+    const run = source => runtime.run(transpiler.transpile(source), { api });
+    await expect(run(`
+      api.put('a', 1);
+      api.put('b', 2);
+      return [api.name, api.get('a'), await api.size(), api.secret, api.clear];
+    `)).resolves.toEqual(['store', 1, 2, undefined, undefined]);
+
+    await expect(run(`api.put('a', '1');`)).rejects.toThrow('put() argument 2 must be number');
+    await expect(run(`api.put('too long key', 1);`)).rejects.toThrow(Runtime.SchemaError);
+    await expect(run(`api.put('a', 1, 2);`)).rejects.toThrow('at most 2 arguments');
+    await expect(run(`api.name = 'x';`)).rejects.toThrow(TypeError);
+
+    store.items.set('c', 'three');
+    await expect(run(`return api.get('c');`)).rejects.toThrow('get() result must be number');
+  });
+
+  test('exposed schemas never invoke script getters', async () => {
+    const calls = [];
+    const api = Runtime.expose({ send: message => calls.push(message) }, {
+      methods: {
+        send: { args: [{ type: 'object', properties: { to: 'string' } }] }
+      }
+    });
+    const transpiler = new Transpiler();
+    const runtime = new Runtime();
+    const result = runtime.run(transpiler.transpile(`
+      const message = Object.defineProperty({}, 'to', {
+        get: () => { throw new Error('getter called'); }
+      });
+      api.send(message);
+    `), { api });
+    await expect(result).rejects.toThrow('argument 1.to must not be an accessor');
+    expect(calls).toEqual([]);
+  });
+
+  test('exposed methods can return exposed objects', async () => {
+    const files = {
+      open: name => ({ name, read: () => `contents of ${name}`, remove: () => {} })
+    };
+    const api = Runtime.expose(files, {
+      methods: {
+        open: {
+          args: ['string'],
+          returns: { expose: { methods: { read: { returns: 'string' } } } }
+        }
+      }
+    });
+    const transpiler = new Transpiler();
+    const runtime = new Runtime();
+    const result = runtime.run(transpiler.transpile(`
+      const file = fs.open('a.txt');
+      return [file.read(), typeof file.remove];
+    `), { fs: api });
+    await expect(result).resolves.toEqual(['contents of a.txt', 'undefined']);
+    expect(() => Runtime.expose(files, { methods: { missing: {} } })).toThrow(TypeError);
+  });
+
+  test('marshaled results are copied as plain data', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      const result = {
+        date: new Date(0),
+        map: new Map([['a', [1, 2]]]),
+        set: new Set(['x']),
+        bytes: new Uint8Array(new Uint8Array([1, 2, 3]).buffer, 1),
+        pattern: /a+/gi,
+        math: Math
+      };
+      result.self = result;
+      return result;
+    `);
+    const runtime = new Runtime();
+    const result = await runtime.run(transpiled, {}, { marshal: true });
+    expect(result.date).toEqual(new Date(0));
+    expect(result.map).toEqual(new Map([['a', [1, 2]]]));
+    expect(result.set).toEqual(new Set(['x']));
+    expect(result.bytes).toEqual(new Uint8Array([2, 3]));
+    expect(result.pattern).toEqual(/a+/gi);
+    expect(result.math).toBe(Math);
+    expect(result.self).toBe(result);
+    expect(Object.getPrototypeOf(result.map)).toBe(Map.prototype);
+  });
+
+  test('marshaling refuses values that would run script code', async () => {
+    const transpiler = new Transpiler();
+    const runtime = new Runtime();
+    const called = [];
+    const record = Runtime.fn(name => called.push(name));
+    const run = source => runtime.run(transpiler.transpile(source), { record }, { marshal: true });
+
+    await expect(run(`
+      return { then(resolve) { record('then'); resolve(1); } };
+    `)).rejects.toThrow(Runtime.MarshalError);
+    await expect(run(`
+      return Object.defineProperty({}, 'x', { get: () => record('get'), enumerable: true });
+    `)).rejects.toThrow(`can't marshal accessor property 'x'`);
+    await expect(run(`
+      return [() => record('call')];
+    `)).rejects.toThrow(`can't marshal function`);
+    expect(called).toEqual([]);
+  });
+
+  test('marshaling converts functions and promises', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      let count = 0;
+      return {
+        increment: () => ({ count: ++count }),
+        later: Promise.resolve(new Map([['k', 'v']]))
+      };
+    `);
+    const runtime = new Runtime();
+    const { result, dispose } = runtime.start(transpiled, {}, { marshal: { functions: true } });
+    const { increment, later } = await result;
+    expect(increment()).toEqual({ count: 1 });
+    expect(increment()).toEqual({ count: 2 });
+    await expect(later).resolves.toEqual(new Map([['k', 'v']]));
+
+    dispose();
+    expect(() => increment()).toThrow(Runtime.DisposedError);
+  });
+
+  test('script Promise prototype is immutable', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      Promise.prototype.then = null;
+    `);
+    const runtime = new Runtime();
+    await expect(runtime.run(transpiled)).rejects.toThrow(TypeError);
+  });
+
+  test('thrown values become fresh host errors', async () => {
+    const transpiler = new Transpiler();
+    const called = [];
+    const record = Runtime.fn(name => called.push(name));
+    const transpiled = transpiler.transpile(`
+      let error;
+      try {
+        null.foo;
+      } catch (e) {
+        error = e;
+      }
+      Object.defineProperty(error, 'message', { value: 'bad type' });
+      Object.defineProperty(error, 'stack', { get: () => record('stack') });
+      Object.defineProperty(error, 'name', { get: () => record('name') });
+      throw error;
+    `);
+    const runtime = new Runtime();
+    const error = await runtime.run(transpiled, { record }).catch(e => e);
+    expect(error.message).toBe('bad type');
+    expect(error).toBeInstanceOf(TypeError);
+    expect(error.name).toBe('TypeError');
+    expect(error.raw).toBeUndefined();
+    expect(called).toEqual([]);
+
+    const primitive = await runtime.run(new Transpiler().transpile(`throw 'oops';`)).catch(e => e);
+    expect(primitive).toBeInstanceOf(Error);
+    expect(primitive.message).toBe('oops');
+    expect(primitive.location).toBeNull();
+
+    const fn = await runtime.run(new Transpiler().transpile(`throw () => {};`)).catch(e => e);
+    expect(fn.name).toBe('Error');
+    expect(fn.location).toBeNull();
+  });
+
+  test('timer and marshaled function errors become fresh host errors', async () => {
+    const transpiler = new Transpiler();
+    const called = [];
+    const record = Runtime.fn(name => called.push(name));
+    const transpiled = transpiler.transpile(`
+      const fail = () => {
+        const thrown = { message: 'late' };
+        Object.defineProperty(thrown, 'stack', { get: () => record('stack') });
+        throw thrown;
+      };
+      setTimeout(fail, 0);
+      return { fail };
+    `);
+    const runtime = new Runtime();
+    let reported;
+    const onError = new Promise(resolve => reported = resolve);
+    const options = { timers: { onError: reported }, marshal: { functions: true } };
+    const { fail } = await runtime.run(transpiled, { record }, options);
+
+    const timerError = await onError;
+    expect(timerError).toBeInstanceOf(Error);
+    expect(timerError.message).toBe('late');
+    expect(typeof timerError.stack).toBe('string');
+
+    let stubError;
+    try {
+      fail();
+    } catch (e) {
+      stubError = e;
+    }
+    expect(stubError).toBeInstanceOf(Error);
+    expect(stubError.message).toBe('late');
+    expect(typeof stubError.stack).toBe('string');
+    expect(called).toEqual([]);
+  });
+
+  test('thrown errors keep location, name and cause', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      class ValidationError extends Error {}
+      let inner;
+      try {
+        null.foo;
+      } catch (e) {
+        inner = e;
+      }
+      const error = new ValidationError('outer', { cause: inner });
+      error.name = 'ValidationError';
+      throw error;
+    `);
+    const runtime = new Runtime();
+    const error = await runtime.run(transpiled).catch(e => e);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('ValidationError');
+    expect(error.stack).toMatch(/<proxy-script>:9/);
+    expect(error.location).toEqual(expect.objectContaining({ line: 9 }));
+    expect(error.cause).toBeInstanceOf(TypeError);
+    expect(error.cause.location).toEqual(expect.objectContaining({ line: 5 }));
+  });
+
+  test('raw thrown values are available by opt-in', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`throw { code: 42 };`);
+    const runtime = new Runtime();
+    const error = await runtime.run(transpiled, {}, { rawErrors: true }).catch(e => e);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.raw).toEqual({ code: 42 });
+  });
+
+  test('violations have typed errors with codes', async () => {
+    const transpiler = new Transpiler();
+    const runtime = new Runtime({ policy: { allow: ['Math', 'Array', 'Function'] } });
+    const cases = [
+      { source: `return Math.pow(2, 2);`, cls: Runtime.PermissionError, code: 'PERMISSION_DENIED' },
+      { source: `return Function('return 1');`, cls: Runtime.BlacklistError, code: 'BLACKLISTED' },
+      { source: `Math.PI = 3;`, cls: Runtime.MutationError, code: 'MUTATION' },
+      { source: `delete Array.prototype.map;`, cls: Runtime.MutationError, code: 'MUTATION' },
+      { source: `return missing;`, cls: Runtime.MissingExternalError, code: 'MISSING_EXTERNAL' },
+      { source: `while (true);`, cls: Runtime.StepLimitError, code: 'STEP_LIMIT' }
+    ];
+    for (const { source, cls, code } of cases) {
+      const transpiled = new Transpiler({ policy: { allow: ['Math', 'Array', 'Function'] } })
+        .transpile(source);
+      const error = await runtime.run(transpiled, {}, { maxSteps: 100 }).catch(e => e);
+      expect(error).toBeInstanceOf(cls);
+      expect(error.code).toBe(code);
+    }
+
+    const error = await runtime.run(transpiler.transpile(`return missing;`)).catch(e => e);
+    expect(error).toBeInstanceOf(Runtime.Error);
+    expect(error.name).toBe('MissingExternalError');
+    expect(error.target).toBe('missing');
+    expect(error.operation).toBe('access');
+    expect(new Runtime.StepLimitError('x')).toBeInstanceOf(Runtime.LimitError);
+    expect(new Runtime.BlacklistError('x')).toBeInstanceOf(Runtime.PermissionError);
+  });
+
+  test('error fields survive structured clone through toJSON', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      Array.prototype.push = null;
+    `);
+    const runtime = new Runtime();
+    const error = await runtime.run(transpiled).catch(e => e);
+
+    // The test environment has no structuredClone(), so use the V8
+    // serializer that implements it.
+    // @ts-ignore
+    const { serialize, deserialize } = await import('v8');
+    const data = deserialize(serialize(error.toJSON()));
+    expect(data).toEqual(JSON.parse(JSON.stringify(error)));
+    expect(data).toEqual(expect.objectContaining({
+      name: 'MutationError',
+      code: 'MUTATION',
+      operation: 'set',
+      target: 'Array.prototype',
+      location: expect.objectContaining({ line: 2 })
+    }));
+
+    const copy = Runtime.Error.fromJSON(data);
+    expect(copy).toBeInstanceOf(Runtime.MutationError);
+    expect(copy.message).toBe(error.message);
+    expect(copy.target).toBe('Array.prototype');
+    expect(copy.location).toEqual(error.location);
+  });
+
+  test('refreshGlobals finds globals installed after first use', async () => {
+    const runtime = new Runtime();
+    // Global objects are found on first use.
+    await runtime.run(new Transpiler().transpile(`return Math.PI;`));
+
+    const transpiled = new Transpiler().transpile(`
+      lib.value = 2;
+    `);
+
+    // @ts-ignore
+    const lib = globalThis.lateLibrary = { value: 1 };
+    try {
+      await runtime.run(transpiled, { lib });
+      expect(lib.value).toBe(2);
+
+      runtime.refreshGlobals();
+      const error = await runtime.run(transpiled, { lib }).catch(e => e);
+      expect(error).toBeInstanceOf(Runtime.MutationError);
+      expect(error.target).toBe('lateLibrary');
+    } finally {
+      // @ts-ignore
+      delete globalThis.lateLibrary;
+    }
+  });
+
+  test('protect applies only to its Runtime', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      config.debug = true;
+    `);
+    const config = { debug: false };
+    const runtime = new Runtime();
+    runtime.protect(config);
+    await expect(runtime.run(transpiled, { config })).rejects.toThrow(Runtime.MutationError);
+    expect(config.debug).toBe(false);
+
+    await new Runtime().run(transpiled, { config });
+    expect(config.debug).toBe(true);
+
+    expect(() => runtime.protect(/** @type {any} */ (42))).toThrow(TypeError);
+  });
+
+  test('protect with deep covers everything reachable', async () => {
+    const transpiled = new Transpiler().transpile(`
+      inner.value = 2;
+    `);
+    class Library {}
+    const lib = Object.assign(new Library(), { inner: { value: 1 } });
+
+    const shallow = new Runtime();
+    shallow.protect(lib);
+    await shallow.run(transpiled, { lib, inner: lib.inner });
+    expect(lib.inner.value).toBe(2);
+
+    // Members reached through a shallow-protected object are writable.
+    await shallow.run(new Transpiler().transpile(`lib.inner.value = 3;`), { lib });
+    expect(lib.inner.value).toBe(3);
+    await expect(shallow.run(new Transpiler().transpile(`lib.inner = null;`), { lib }))
+      .rejects.toThrow(Runtime.MutationError);
+
+    const deep = new Runtime();
+    deep.protect(lib, { deep: true });
+    await expect(deep.run(transpiled, { lib, inner: lib.inner })).rejects.toThrow(Runtime.MutationError);
+    expect(lib.inner.value).toBe(3);
+
+    // Prototypes are followed too.
+    const error = await deep.run(new Transpiler().transpile(`
+      Object.getPrototypeOf(lib).method = null;
+    `), { lib }).catch(e => e);
+    expect(error).toBeInstanceOf(Runtime.MutationError);
+  });
+
+  test('roots option protects named traversal roots', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      settings.inner.value = 2;
+    `);
+    const lib = { inner: { value: 1 } };
+    const runtime = new Runtime({ roots: { lib } });
+    const error = await runtime.run(transpiled, { settings: lib }).catch(e => e);
+    expect(error).toBeInstanceOf(Runtime.MutationError);
+    expect(error.target).toBe('lib.inner');
+    expect(lib.inner.value).toBe(1);
+  });
+
+  test('hidden intrinsic prototypes are protected', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      const TypedArrayPrototype = Object.getPrototypeOf(Int8Array.prototype);
+      TypedArrayPrototype.fill = null;
+    `);
+    const runtime = new Runtime();
+    await expect(runtime.run(transpiled)).rejects.toThrow(Runtime.MutationError);
+    expect(typeof new Int8Array(1).fill).toBe('function');
+  });
+
+  test('copyOnWrite keeps global changes in the run', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      Array.prototype.last = function() { return this[this.length - 1]; };
+      if (!String.prototype.shout) {
+        Object.defineProperty(String.prototype, 'shout', {
+          value: function() { return this.toUpperCase() + '!'; },
+          writable: true,
+          configurable: true
+        });
+      }
+      Math.answer = 42;
+      return [
+        [1, 2, 3].last(),
+        'hi'.shout(),
+        Math.answer,
+        'last' in Array.prototype,
+        Object.keys(Math)
+      ];
+    `);
+    const runtime = new Runtime();
+    const result = await runtime.run(transpiled, {}, { copyOnWrite: true });
+    expect(result).toEqual([3, 'HI!', 42, true, ['answer']]);
+
+    // @ts-ignore
+    expect(Array.prototype.last).toBeUndefined();
+    // @ts-ignore
+    expect(String.prototype.shout).toBeUndefined();
+    expect(Math).not.toHaveProperty('answer');
+
+    // The overlay doesn't outlive the run.
+    const again = new Transpiler().transpile(`
+      return typeof Math.answer;
+    `);
+    await expect(runtime.run(again, {}, { copyOnWrite: true })).resolves.toBe('undefined');
+
+    // Without the option, changes still fail.
+    await expect(runtime.run(transpiled)).rejects.toThrow(Runtime.MutationError);
+  });
+
+  test('copyOnWrite deletes and respects non-writable properties', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      delete Array.prototype.includes;
+      const results = [typeof Array.prototype.includes, 'includes' in Array.prototype];
+      try {
+        [].includes(1);
+      } catch (e) {
+        results.push('threw');
+      }
+      try {
+        Math.PI = 3;
+      } catch (e) {
+        results.push(Math.PI);
+      }
+      return results;
+    `);
+    const runtime = new Runtime();
+    const result = await runtime.run(transpiled, {}, { copyOnWrite: true });
+    expect(result).toEqual(['undefined', false, 'threw', Math.PI]);
+    expect(typeof Array.prototype.includes).toBe('function');
+  });
+
+  test('copyOnWrite only defines configurable properties', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      const results = [];
+      try {
+        Object.defineProperty(Math, 'qq', { value: 1, configurable: false });
+      } catch (e) {
+        results.push(e.name, 'qq' in Math);
+      }
+      Object.defineProperty(Math, 'qq', { value: 2 });
+      results.push(Math.qq, Object.getOwnPropertyDescriptor(Math, 'qq').configurable);
+      return results;
+    `);
+    const runtime = new Runtime();
+    const result = await runtime.run(transpiled, {}, { copyOnWrite: true });
+    expect(result).toEqual(['TypeError', false, 2, true]);
+    expect(Math.hasOwnProperty('qq')).toBe(false);
+  });
+
+  test('function constructors from syntax are blacklisted', async () => {
+    const sources = [
+      `return (function*() {}).constructor;`,
+      `return (async function*() {}).constructor;`,
+      `return Object.getPrototypeOf(async function() {}).constructor;`
+    ];
+    // Even learning mode, which permits other functions, refuses them.
+    const runtime = new Runtime({ learning: true, reportOnly: true });
+    for (const source of sources) {
+      const transpiled = new Transpiler().transpile(source);
+      await expect(runtime.run(transpiled)).rejects.toThrow(Runtime.BlacklistError);
+    }
+  });
+
+  test('function constructors not found at startup are blacklisted', async () => {
+    class HostFunction extends Function {}
+    const transpiled = new Transpiler().transpile(`
+      return new HostFunction('return 1')();
+    `);
+    const runtime = new Runtime({ learning: true });
+    const error = await runtime.run(transpiled, { HostFunction }).catch(e => e);
+    expect(error).toBeInstanceOf(Runtime.BlacklistError);
+  });
+
+  test('selfCheck finds no escapes', async () => {
+    for (const runtime of [new Runtime(), new Runtime({ learning: true })]) {
+      const results = await Runtime.selfCheck({ runtime });
+      expect(results.length).toBeGreaterThan(10);
+      expect(results.filter(result => result.escaped)).toEqual([]);
+
+      // Every attempt must actually run, and either complete or be
+      // stopped by the Runtime.
+      for (const { error } of results) {
+        expect(error ?? '').not.toMatch(/not provided|is not defined|is not a function/);
+      }
+      const thisLeaks = results.filter(result => result.name.startsWith('global object as'));
+      expect(thisLeaks.map(result => result.error)).toEqual([null, null]);
+    }
+  });
+
+  test('selfCheck reports escapes', async () => {
+    // Report-only mode lets mutations through.
+    const runtime = new Runtime({ reportOnly: true });
+    const results = await Runtime.selfCheck({ runtime });
+    const escaped = results.filter(result => result.escaped).map(result => result.name);
+    expect(escaped).toContain('set on Object.prototype');
+    expect(escaped).toContain('set on %GeneratorFunction.prototype%');
+    expect(escaped).not.toContain('GeneratorFunction');
+
+    // Successful mutations are undone.
+    expect(Object.prototype).not.toHaveProperty('__proxyScriptSelfCheck');
+  });
+
+  test('transpile result has a manifest', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`
+      const key = 'max';
+      console.log(JSON.parse(input), Math[key]);
+      for (const x of [1, 2]) {
+        Math.max.apply(null, [x, new Date().getTime()]);
+      }
+      return api.fetch(\`/items/\${key}\`);
+    `);
+    expect(transpiled.manifest).toEqual({
+      globals: ['Date', 'JSON', 'Math', 'console'],
+      externals: ['api', 'input'],
+      calls: ['JSON.parse', 'Math.max.apply', 'api.fetch', 'console.log'],
+      constructs: ['Date'],
+      features: ['loop', 'new', 'template', 'variable'],
+      dynamic: [{ object: 'Math', location: { line: 3, column: 37 } }]
+    });
+
+    // Each result only describes its own script.
+    const next = transpiler.transpile(`return 1;`);
+    expect(next.externals.size).toBe(0);
+    expect(next.manifest.externals).toEqual([]);
+    expect(next.manifest.calls).toEqual([]);
+  });
+
+  test('validate checks a manifest against a policy', async () => {
+    const transpiled = new Transpiler().transpile(`
+      const key = 'max';
+      return [Math.max(1, 2), Math.pow(2, 3), Math[key], JSON.stringify(api.get())];
+    `);
+    expect(Transpiler.validate(transpiled.manifest)).toEqual([
+      { name: 'Math', message: 'dynamic access not allowed', location: { line: 3, column: 46 } }
+    ]);
+
+    const policy = { allow: ['Math', 'Math.max'] };
+    expect(Transpiler.validate(transpiled.manifest, policy)).toEqual([
+      { name: 'JSON', message: 'global not allowed' },
+      { name: 'JSON.stringify', message: 'call not allowed' },
+      { name: 'Math.pow', message: 'call not allowed' },
+      { name: 'Math', message: 'dynamic access not allowed', location: { line: 3, column: 46 } }
+    ]);
+  });
+
+  test('syntax profiles reject constructs at transpile time', async () => {
+    const expression = new Transpiler({ profile: 'expression' });
+    const transpiled = expression.transpile(`return price * (1 + rate);`);
+    const runtime = new Runtime();
+    await expect(runtime.run(transpiled, { price: 10, rate: 0.5 })).resolves.toBe(15);
+
+    let error;
+    try {
+      expression.transpile(`
+        return price;
+        let x = 1;
+      `);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(SyntaxError);
+    expect(error.message).toMatch(/syntax feature 'variable' is not allowed/);
+    expect(error.feature).toBe('variable');
+    expect(error.loc).toEqual({ line: 3, column: 8 });
+
+    const basic = new Transpiler({ profile: 'basic' });
+    basic.transpile(`
+      let sum = 0;
+      for (const x of [1, 2, 3]) sum += x;
+      return (() => sum)();
+    `);
+    for (const [source, feature] of [
+      [`class A {}`, 'class'],
+      [`return /a/.test('a');`, 'regex'],
+      [`outer: for (;;) break outer;`, 'label'],
+      [`function* g() {}`, 'generator'],
+      [`debugger;`, 'debugger']
+    ]) {
+      expect(() => basic.transpile(source)).toThrow(`syntax feature '${feature}' is not allowed`);
+    }
+  });
+
+  test('syntax features can be switched individually', async () => {
+    const transpiler = new Transpiler({ profile: 'basic', features: { regex: true, loop: false } });
+    transpiler.transpile(`return /a/.test('a');`);
+    expect(() => transpiler.transpile(`while (false) {}`)).toThrow(/'loop' is not allowed/);
+
+    const full = new Transpiler({ features: { debugger: false } });
+    full.transpile(`class A {}`);
+    expect(() => full.transpile(`debugger;`)).toThrow(/'debugger' is not allowed/);
+
+    expect(() => new Transpiler({ profile: 'tiny' })).toThrow(TypeError);
+    expect(() => new Transpiler({ features: { goto: true } })).toThrow(TypeError);
+  });
+
+  test('script header declarations are parsed and enforced by run', async () => {
+    const transpiled = new Transpiler().transpile(`
+      // Fetch and store.
+      // @requires fetchJson, storage
+      // @globals JSON
+      return JSON.stringify(fetchJson());
+    `);
+    expect(transpiled.declarations).toEqual({
+      requires: ['fetchJson', 'storage'],
+      globals: ['JSON']
+    });
+
+    const runtime = new Runtime();
+    const fetchJson = Runtime.fn(() => ({ ok: true }));
+    await expect(runtime.run(transpiled, { fetchJson, storage: {}, extra: {} })).resolves.toBe('{"ok":true}');
+
+    // Without a header, there are no declarations.
+    expect(new Transpiler().transpile(`return 1;`).declarations).toBeNull();
+
+    // Default globals need not be declared, but others do.
+    const policy = { allow: [...DEFAULT_POLICY.allow, 'Intl'] };
+    const undeclared = new Transpiler({ policy }).transpile(`
+      // @requires fetchJson
+      return [Math.max(fetchJson().ok ? 1 : 0, 0), typeof Intl];
+    `);
+    const error = await new Runtime({ policy }).run(undeclared, { fetchJson }).catch(e => e);
+    expect(error).toBeInstanceOf(Runtime.PermissionError);
+    expect(error.target).toBe('Intl');
+
+    expect(() => new Transpiler().transpile(`// @requires fetch json`)).toThrow(SyntaxError);
+  });
+
+  test('requireDeclarations makes undeclared names transpile errors', async () => {
+    const transpiler = new Transpiler({ requireDeclarations: true });
+    const transpiled = transpiler.transpile(`
+      // @requires input
+      // @globals Math
+      return Math.abs(input);
+    `);
+    const runtime = new Runtime();
+    await expect(runtime.run(transpiled, { input: -3 })).resolves.toBe(3);
+
+    let error;
+    try {
+      transpiler.transpile(`// @globals Math
+return Math.abs(input);`);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(SyntaxError);
+    expect(error.message).toMatch(/'input' is not declared/);
+    expect(error.loc).toEqual({ line: 2, column: 16 });
+
+    expect(() => transpiler.transpile(`
+      // @globals Intl
+      return 1;
+    `)).toThrow(/declared global 'Intl' is not available \(2:0\)/);
+
+    // Default globals are allowed, and typeof checks are not uses.
+    const checked = transpiler.transpile(`return [JSON.stringify(1), typeof b];`);
+    await expect(runtime.run(checked)).resolves.toEqual(['1', 'undefined']);
+
+    // Other globals must be declared.
+    const policy = { allow: [...DEFAULT_POLICY.allow, 'Intl'] };
+    expect(() => new Transpiler({ policy, requireDeclarations: true }).transpile(`
+      return typeof Intl.NumberFormat;
+    `)).toThrow(/global 'Intl' is not declared/);
+
+    // Scripts without a header declare nothing.
+    expect(transpiler.transpile(`return 1;`).declarations).toEqual({ requires: [], globals: [] });
+  });
+
+  test('declared globals must be granted by the Runtime', async () => {
+    const transpiled = new Transpiler().transpile(`
+      // @globals Intl
+      return typeof Intl;
+    `);
+    expect(transpiled.declarations.globals).toEqual(['Intl']);
+    expect([...transpiled.globals]).toEqual([]);
+
+    // Declaring a global doesn't grant it.
+    const error = await new Runtime().run(transpiled, { Intl }).catch(e => e);
+    expect(error).toBeInstanceOf(Runtime.PermissionError);
+    expect(error.message).toMatch(/global not allowed/);
+    expect(error.target).toBe('Intl');
+
+    // A declared global that the policy allows can be used.
+    const policy = { allow: [...DEFAULT_POLICY.allow, 'Intl'] };
+    const granted = new Transpiler({ policy }).transpile(`
+      // @globals Intl
+      return typeof Intl;
+    `);
+    await expect(new Runtime({ policy }).run(granted)).resolves.toBe('object');
+  });
+
+  test('knownExternals reports unknown names with suggestions', async () => {
+    const transpiler = new Transpiler({ knownExternals: ['fetchJson', 'storage'] });
+
+    let error;
+    try {
+      transpiler.transpile(`return Mth.max(1, strage.get('a'), zzz);`);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(SyntaxError);
+    expect(error.message).toMatch(/unknown name 'Mth', did you mean 'Math'\?/);
+    expect(error.loc).toEqual({ line: 1, column: 7 });
+    expect(error.diagnostics.map(({ name, suggestions }) => ({ name, suggestions }))).toEqual([
+      { name: 'Mth', suggestions: ['Math'] },
+      { name: 'strage', suggestions: ['storage'] },
+      { name: 'zzz', suggestions: [] }
+    ]);
+    expect(error.diagnostics[1].location).toEqual({ line: 1, column: 18 });
+  });
+
+  test('knownExternals allows typeof checks on unknown names', async () => {
+    const transpiler = new Transpiler({ knownExternals: ['storage'] });
+    const transpiled = transpiler.transpile(`
+      return [typeof window, typeof storage, typeof Math];
+    `);
+    expect([...transpiled.externals]).toEqual(['storage']);
+
+    const runtime = new Runtime();
+    await expect(runtime.run(transpiled, { storage: {} })).resolves.toEqual(['undefined', 'object', 'object']);
+  });
+
+  test('known externals tested with typeof must be provided', async () => {
+    const transpiler = new Transpiler({ knownExternals: ['storage'] });
+    const transpiled = transpiler.transpile(`
+      return typeof storage === 'undefined' ? null : storage.get('a');
+    `);
+    expect([...transpiled.externals]).toEqual(['storage']);
+
+    const runtime = new Runtime();
+    const error = await runtime.run(transpiled).catch(e => e);
+    expect(error).toBeInstanceOf(Runtime.MissingExternalError);
+    expect(error.target).toBe('storage');
+  });
+
+  test('externals can be resolved lazily by a function', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`return add(await base(), 1);`);
+
+    const add = (a, b) => a + b;
+    const base = async () => 41;
+    const requested = [];
+    const resolver = name => {
+      requested.push(name);
+      switch (name) {
+        case 'add': return add;
+        case 'base': return Promise.resolve(base);
+      }
+    };
+    const runtime = new Runtime();
+    runtime.whitelist.add(add);
+    runtime.whitelist.add(base);
+    await expect(runtime.run(transpiled, resolver)).resolves.toBe(42);
+    expect(requested.sort()).toEqual(['add', 'base']);
+
+    // Unresolved and failed names are missing externals.
+    /** @type {any} */
+    let error;
+    await runtime.run(transpiled, name => name === 'add' ? Math.max : undefined).catch(e => error = e);
+    expect(error).toBeInstanceOf(Runtime.MissingExternalError);
+    expect(error.target).toBe('base');
+
+    error = null;
+    await runtime.run(transpiled, async name => {
+      throw new Error(`no ${name}`);
+    }).catch(e => error = e);
+    expect(error).toBeInstanceOf(Runtime.MissingExternalError);
+    expect(error.cause.message).toMatch(/^no /);
+  });
+
+  test('external getters are only called for names the script uses', async () => {
+    const transpiler = new Transpiler();
+    const transpiled = transpiler.transpile(`return cheap + await expensive.value();`);
+
+    const value = async () => 2;
+    const called = [];
+    const externals = {
+      cheap: 1,
+      get expensive() {
+        called.push('expensive');
+        return Promise.resolve({ value });
+      },
+      get unused() {
+        called.push('unused');
+        return {};
+      }
+    };
+    const runtime = new Runtime();
+    runtime.whitelist.add(value);
+    await expect(runtime.run(transpiled, externals)).resolves.toBe(3);
+    expect(called).toEqual(['expensive']);
+
+    /** @type {any} */
+    let error;
+    await runtime.run(transpiled, {
+      cheap: 1,
+      get expensive() { throw new Error('unavailable'); }
+    }).catch(e => error = e);
+    expect(error).toBeInstanceOf(Runtime.MissingExternalError);
+    expect(error.target).toBe('expensive');
+    expect(error.cause.message).toBe('unavailable');
+
+    // Getters may be inherited, e.g. from a class.
+    class Capabilities {
+      get cheap() { return 1; }
+      get expensive() {
+        called.push('inherited');
+        return { value };
+      }
+    }
+    await expect(runtime.run(transpiled, new Capabilities())).resolves.toBe(3);
+    expect(called).toEqual(['expensive', 'inherited']);
+  });
 });